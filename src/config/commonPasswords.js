@@ -0,0 +1,94 @@
+/**
+ * Common passwords rejected by the password policy (compared lowercase).
+ * Extend with COMMON_PASSWORDS_EXTRA (comma separated) for company-specific
+ * words such as the brand name.
+ */
+const COMMON_PASSWORDS = [
+  "123456",
+  "12345678",
+  "123456789",
+  "1234567890",
+  "12345",
+  "1234567",
+  "111111",
+  "000000",
+  "123123",
+  "654321",
+  "666666",
+  "121212",
+  "112233",
+  "987654321",
+  "password",
+  "password1",
+  "password12",
+  "password123",
+  "password@123",
+  "passw0rd",
+  "p@ssw0rd",
+  "p@ssword",
+  "qwerty",
+  "qwerty123",
+  "qwertyuiop",
+  "asdfgh",
+  "asdfghjkl",
+  "zxcvbnm",
+  "1q2w3e4r",
+  "1qaz2wsx",
+  "abc123",
+  "abcd1234",
+  "abcdef",
+  "aa123456",
+  "admin",
+  "admin123",
+  "admin@123",
+  "administrator",
+  "welcome",
+  "welcome1",
+  "welcome123",
+  "welcome@123",
+  "letmein",
+  "iloveyou",
+  "monkey",
+  "dragon",
+  "sunshine",
+  "princess",
+  "football",
+  "cricket",
+  "baseball",
+  "superman",
+  "batman",
+  "master",
+  "shadow",
+  "michael",
+  "jesus",
+  "trustno1",
+  "login",
+  "changeme",
+  "default",
+  "secret",
+  "test123",
+  "test@123",
+  "guest",
+  "india123",
+  "india@123",
+  "hello123",
+  "pass@123",
+  "user123",
+  "employee",
+  "employee123",
+  "healthcare",
+  "fbs123",
+  "fbs@123",
+  "fbshealthcare",
+];
+
+const getCommonPasswords = () =>
+  new Set([
+    ...COMMON_PASSWORDS,
+    ...(process.env.COMMON_PASSWORDS_EXTRA || "")
+      .split(",")
+      .map((word) => word.trim().toLowerCase())
+      .filter(Boolean),
+  ]);
+
+export { COMMON_PASSWORDS, getCommonPasswords };
@@ -12,7 +12,8 @@ const seedAdminUser = async () => {
     });
 
     if (!existingAdmin) {
-      // Create admin using User model (handles password hashing)
+      // Create admin using User model (handles password hashing).
+      // Like every admin-created user it must change the password on first login.
       await User.create({
         name: "Admin User",
         email: "admin@fbs.com",
@@ -22,6 +23,20 @@ const seedAdminUser = async () => {
       });
 
       console.log("✅ Default admin user created (admin@fbs.com / admin123)");
+    } else if (
+      !existingAdmin.mustChangePassword &&
+      (await User.verifyPassword("admin123", existingAdmin.password))
+    ) {
+      // Databases seeded before forced password changes still have the
+      // published default password
+      await prisma.user.update({
+        where: { id: existingAdmin.id },
+        data: { mustChangePassword: true },
+      });
+
+      console.log(
+        "⚠️  Admin user still has the default password; it must be changed on next login"
+      );
     } else {
       console.log("ℹ️  Admin user already exists");
     }
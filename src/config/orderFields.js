@@ -0,0 +1,93 @@
+import { hasPermission } from "./permissions.js";
+import { CLOSED_ORDER_STATUSES } from "./orderStatus.js";
+
+/**
+ * Who may edit which order fields through PATCH /api/orders/:id, and when.
+ *
+ * Every edit needs orders:edit. A field may additionally need its own
+ * permission, and may be locked once the order has shipped ("shipped") or
+ * reached a final status ("closed"). Roles with orders:edit_locked ignore
+ * those locks.
+ *
+ * Fields printed on the tax invoice ("invoiced") are locked for everyone
+ * once it is issued, since the invoice cannot change. A wrong invoiced order
+ * is cancelled, which credits the invoice, and entered again.
+ */
+
+// Statuses before the parcel leaves the warehouse
+const UNSHIPPED_ORDER_STATUSES = [
+  "Pending_Verification",
+  "Pending",
+  "Processing",
+];
+
+export const ORDER_FIELD_RULES = {
+  customerName: { lock: "shipped", invoiced: true },
+  customerPhone: { lock: "closed", invoiced: true },
+  alternateContact: { lock: "closed" },
+  shippingAddress: { lock: "closed", invoiced: true },
+  stateCode: { lock: "shipped", invoiced: true },
+  totalAmount: { lock: "shipped", invoiced: true },
+  discount: { lock: "shipped", invoiced: true },
+  advance: { lock: "shipped", invoiced: true },
+  courierCharges: { lock: "shipped", invoiced: true },
+  gstRate: { lock: "shipped", invoiced: true },
+  withGST: { lock: "shipped", invoiced: true },
+  paymentType: { lock: "shipped" },
+  paymentStatus: { permission: "orders:edit_locked" },
+  deliveryPartner: { permission: "orders:dispatch", lock: "closed" },
+  trackingId: { permission: "orders:dispatch", lock: "closed" },
+  liveLocation: { permission: "orders:dispatch", lock: "closed" },
+  orderRemark: {},
+  pipelineRemark: {},
+};
+
+const isInvoiced = (order) =>
+  Boolean(order.invoices?.some((invoice) => invoice.type === "invoice"));
+
+const isLocked = (lock, status) =>
+  (lock === "shipped" && !UNSHIPPED_ORDER_STATUSES.includes(status)) ||
+  (lock === "closed" && CLOSED_ORDER_STATUSES.includes(status));
+
+/**
+ * Fields in an edit that a role may not change on an order in its current
+ * status
+ * @param {Object} order - Order with its current status and invoices
+ * @param {string[]} fields - Fields being changed
+ * @param {string} role - Role name
+ * @returns {Array<{field: string, message: string}>} Empty when allowed
+ */
+export const getOrderEditDenials = (order, fields, role) => {
+  const canOverrideLocks = hasPermission(role, "orders:edit_locked");
+  const invoiced = isInvoiced(order);
+  const denials = [];
+
+  for (const field of fields) {
+    const rule = ORDER_FIELD_RULES[field];
+
+    if (!rule) {
+      denials.push({ field, message: "Field cannot be edited" });
+    } else if (rule.permission && !hasPermission(role, rule.permission)) {
+      denials.push({
+        field,
+        message: `Requires the ${rule.permission} permission`,
+      });
+    } else if (rule.invoiced && invoiced) {
+      denials.push({
+        field,
+        message:
+          "Cannot be changed once the order is invoiced. Cancel it and create a new order instead.",
+      });
+    } else if (!canOverrideLocks && isLocked(rule.lock, order.status)) {
+      denials.push({
+        field,
+        message:
+          rule.lock === "shipped"
+            ? "Cannot be changed after the order has shipped"
+            : `Cannot be changed once the order is ${order.status}`,
+      });
+    }
+  }
+
+  return denials;
+};
@@ -0,0 +1,128 @@
+/**
+ * Server-generated order numbers.
+ *
+ * The format is the `orderNumberFormat` setting (see src/config/settings.js):
+ * a pattern of literal text and tokens, plus whether the sequence restarts
+ * every day or every year.
+ *
+ *   {YYYY} {YY} {MM} {DD}  order date in the organisation timezone
+ *   {SEQ} / {SEQ:n}        sequence number, zero-padded to n digits
+ *   {STATE}                order state code
+ *   {PARTNER}              delivery partner, first 6 letters or digits
+ *
+ * Each state or partner gets its own sequence when its token is used, so
+ * "FBS-{STATE}-{SEQ:4}" numbers MH and KA orders independently.
+ */
+
+export const DEFAULT_ORDER_NUMBER_FORMAT = {
+  pattern: "FBS-{YYYY}{MM}{DD}-{SEQ:4}",
+  counter: "daily",
+};
+
+export const ORDER_NUMBER_COUNTERS = ["daily", "yearly"];
+
+const MAX_ORDER_NUMBER_LENGTH = 50; // orders.orderNumber column
+const MAX_SEQUENCE_DIGITS = 10;
+const PARTNER_CODE_LENGTH = 6;
+const STATE_CODE_LENGTH = 10;
+
+// Code used when a {STATE} or {PARTNER} order has no value for it
+const MISSING_CODE = "NA";
+
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const LITERAL_PATTERN = /^[A-Za-z0-9/_-]*$/;
+
+const toCode = (value, length) =>
+  String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, length) || MISSING_CODE;
+
+const TOKENS = {
+  YYYY: ({ date }) => date.slice(0, 4),
+  YY: ({ date }) => date.slice(2, 4),
+  MM: ({ date }) => date.slice(5, 7),
+  DD: ({ date }) => date.slice(8, 10),
+  SEQ: ({ sequence }, width) => String(sequence).padStart(width || 1, "0"),
+  STATE: ({ stateCode }) => toCode(stateCode, STATE_CODE_LENGTH),
+  PARTNER: ({ deliveryPartner }) =>
+    toCode(deliveryPartner, PARTNER_CODE_LENGTH),
+};
+
+const tokensOf = (pattern) =>
+  [...pattern.matchAll(TOKEN_PATTERN)].map(([, name, width]) => ({
+    name,
+    width: width === undefined ? undefined : Number(width),
+  }));
+
+/**
+ * Render an order number from a pattern
+ * @param {string} pattern - e.g. "FBS-{YYYY}{MM}{DD}-{SEQ:4}"
+ * @param {Object} values
+ * @param {string} values.date - Order date as YYYY-MM-DD
+ * @param {number} values.sequence
+ * @param {string} [values.stateCode]
+ * @param {string} [values.deliveryPartner]
+ * @returns {string}
+ */
+export const formatOrderNumber = (pattern, values) =>
+  pattern.replace(TOKEN_PATTERN, (match, name, width) =>
+    TOKENS[name](values, width && Number(width))
+  );
+
+/**
+ * Key of the sequence an order draws its number from. Changing the
+ * literal text of the pattern keeps the count going.
+ * @param {{pattern: string, counter: string}} format
+ * @param {Object} values - As for formatOrderNumber, without sequence
+ * @returns {string} e.g. "2025-10-19:MH"
+ */
+export const getSequenceKey = ({ pattern, counter }, values) => {
+  const names = tokensOf(pattern).map((token) => token.name);
+  const parts = [counter === "yearly" ? values.date.slice(0, 4) : values.date];
+
+  if (names.includes("STATE")) parts.push(TOKENS.STATE(values));
+  if (names.includes("PARTNER")) parts.push(TOKENS.PARTNER(values));
+
+  return parts.join(":");
+};
+
+/**
+ * Check an orderNumberFormat setting value. The pattern needs exactly one
+ * {SEQ} and enough of the date to keep numbers unique across counter
+ * periods, and the longest number it can produce must fit the column.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const isValidOrderNumberFormat = (value) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return false;
+  }
+
+  const { pattern, counter } = value;
+  if (typeof pattern !== "string" || !ORDER_NUMBER_COUNTERS.includes(counter)) {
+    return false;
+  }
+
+  const tokens = tokensOf(pattern);
+  const names = tokens.map((token) => token.name);
+  const sequences = tokens.filter((token) => token.name === "SEQ");
+
+  if (!LITERAL_PATTERN.test(pattern.replace(TOKEN_PATTERN, ""))) return false;
+  if (!names.every((name) => TOKENS[name])) return false;
+  if (sequences.length !== 1) return false;
+  if (sequences[0].width > MAX_SEQUENCE_DIGITS) return false;
+
+  const hasYear = names.includes("YYYY") || names.includes("YY");
+  const hasDay = names.includes("MM") && names.includes("DD");
+  if (!hasYear || (counter === "daily" && !hasDay)) return false;
+
+  const longest = formatOrderNumber(pattern, {
+    date: "2000-01-01",
+    sequence: 10 ** MAX_SEQUENCE_DIGITS - 1,
+    stateCode: "X".repeat(STATE_CODE_LENGTH),
+    deliveryPartner: "X".repeat(PARTNER_CODE_LENGTH),
+  });
+
+  return longest.length <= MAX_ORDER_NUMBER_LENGTH;
+};
@@ -0,0 +1,94 @@
+import { hasPermission } from "./permissions.js";
+
+/**
+ * Order status state machine shared by models and controllers.
+ * Values must match the OrderStatus enum in prisma/schema.prisma.
+ */
+
+export const ORDER_STATUSES = [
+  "Pending_Verification",
+  "Pending",
+  "Processing",
+  "Shipped",
+  "In_Transit",
+  "Reached",
+  "Out_For_Delivery",
+  "Delivered",
+  "NDR",
+  "RTO",
+  "Cancelled",
+];
+
+// Moves out of a failed delivery or back to the origin
+const toRTO = { to: "RTO", permission: "orders:rto", requiresNote: true };
+const toCancelled = {
+  to: "Cancelled",
+  permission: "orders:cancel",
+  requiresNote: true,
+};
+
+/**
+ * Allowed next statuses for each status. A transition needs its permission
+ * (see src/config/permissions.js) and, when requiresNote is set, a note
+ * explaining it. Statuses without transitions are final.
+ */
+export const ORDER_TRANSITIONS = {
+  Pending_Verification: [
+    { to: "Pending", permission: "orders:verify" },
+    toCancelled,
+  ],
+  Pending: [
+    { to: "Processing", permission: "orders:update_status" },
+    toCancelled,
+  ],
+  Processing: [{ to: "Shipped", permission: "orders:dispatch" }, toCancelled],
+  Shipped: [{ to: "In_Transit", permission: "orders:dispatch" }, toRTO],
+  In_Transit: [
+    { to: "Reached", permission: "orders:dispatch" },
+    { to: "Out_For_Delivery", permission: "orders:dispatch" },
+    toRTO,
+  ],
+  Reached: [{ to: "Out_For_Delivery", permission: "orders:dispatch" }, toRTO],
+  Out_For_Delivery: [
+    { to: "Delivered", permission: "orders:update_status" },
+    { to: "NDR", permission: "orders:update_status", requiresNote: true },
+  ],
+  // Non-delivery report: re-attempt or return
+  NDR: [{ to: "Out_For_Delivery", permission: "orders:dispatch" }, toRTO],
+  Delivered: [],
+  RTO: [],
+  Cancelled: [],
+};
+
+// Orders in these states need no further work from the assignee
+export const CLOSED_ORDER_STATUSES = ORDER_STATUSES.filter(
+  (status) => ORDER_TRANSITIONS[status].length === 0
+);
+
+/**
+ * Whether an order still needs work
+ * @param {string} status - OrderStatus value
+ * @returns {boolean}
+ */
+export const isOpenOrderStatus = (status) =>
+  !CLOSED_ORDER_STATUSES.includes(status);
+
+/**
+ * Find the declared transition between two statuses
+ * @param {string} from - Current OrderStatus
+ * @param {string} to - Requested OrderStatus
+ * @returns {{to: string, permission: string, requiresNote?: boolean}|null}
+ */
+export const findTransition = (from, to) =>
+  ORDER_TRANSITIONS[from]?.find((transition) => transition.to === to) || null;
+
+/**
+ * Transitions out of a status that a role may perform
+ * @param {string} status - Current OrderStatus
+ * @param {string} role - Role name
+ * @returns {Array<{to: string, requiresNote: boolean}>}
+ */
+export const getAllowedTransitions = (status, role) =>
+  (ORDER_TRANSITIONS[status] || [])
+    .filter((transition) => hasPermission(role, transition.permission))
+    .map(({ to, requiresNote = false }) => ({ to, requiresNote }));
@@ -0,0 +1,101 @@
+import crypto from "crypto";
+import { getCommonPasswords } from "./commonPasswords.js";
+
+/**
+ * Password policy
+ *
+ * Applied wherever a user or admin chooses a password. Configured through
+ * the environment; see README "Environment Variables".
+ */
+
+const envFlag = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  return value === "true";
+};
+
+/**
+ * Current password policy
+ * @returns {{minLength: number, maxLength: number, requireUppercase: boolean,
+ *   requireLowercase: boolean, requireDigit: boolean, requireSymbol: boolean,
+ *   historyCount: number}}
+ */
+const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  // bcrypt ignores anything after 72 bytes
+  maxLength: 72,
+  requireUppercase: envFlag("PASSWORD_REQUIRE_UPPERCASE", true),
+  requireLowercase: envFlag("PASSWORD_REQUIRE_LOWERCASE", true),
+  requireDigit: envFlag("PASSWORD_REQUIRE_DIGIT", true),
+  requireSymbol: envFlag("PASSWORD_REQUIRE_SYMBOL", false),
+  // Previous passwords that may not be reused (0 disables the check)
+  historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT ?? "5") || 0,
+});
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} [context] - { email } of the account, to reject passwords
+ *   containing it
+ * @returns {string[]} Human readable violations (empty when valid)
+ */
+const validatePassword = (password, { email } = {}) => {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== "string") return ["Password is required"];
+
+  if (password.length < policy.minLength) {
+    errors.push(
+      `Password must be at least ${policy.minLength} characters long`
+    );
+  }
+  if (Buffer.byteLength(password) > policy.maxLength) {
+    errors.push(
+      `Password must be at most ${policy.maxLength} characters long`
+    );
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push("Password must contain an uppercase letter");
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push("Password must contain a lowercase letter");
+  }
+  if (policy.requireDigit && !/[0-9]/.test(password)) {
+    errors.push("Password must contain a digit");
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push("Password must contain a symbol");
+  }
+  if (getCommonPasswords().has(password.toLowerCase())) {
+    errors.push("Password is too common");
+  }
+
+  const localPart = email ? String(email).split("@")[0].toLowerCase() : "";
+  if (localPart.length >= 3 && password.toLowerCase().includes(localPart)) {
+    errors.push("Password must not contain your email address");
+  }
+
+  return errors;
+};
+
+/**
+ * Random password that satisfies the current policy. Used for accounts whose
+ * owner sets their own password through a link (e.g. CSV imports).
+ * @returns {string}
+ */
+const generateCompliantPassword = () => {
+  const policy = getPasswordPolicy();
+  const length = Math.min(Math.max(policy.minLength, 20), policy.maxLength);
+
+  // One character of every class, then random filler
+  const required = "Aa1!";
+  const filler = crypto
+    .randomBytes(length)
+    .toString("base64url")
+    .slice(0, Math.max(length - required.length, 0));
+
+  return filler + required;
+};
+
+export { getPasswordPolicy, validatePassword, generateCompliantPassword };
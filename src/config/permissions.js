@@ -0,0 +1,96 @@
+/**
+ * Role-based permission matrix
+ *
+ * Routes are guarded by permissions rather than role names, so adding a role
+ * or changing what a role can do only requires editing this file.
+ * Team supervisors get extra access to their team's work on top of their
+ * role; see src/lib/teamAccess.js.
+ */
+
+const ROLES = ["admin", "manager", "dispatcher", "telecaller", "employee"];
+
+const PERMISSIONS = [
+  "users:manage", // create, update, deactivate users and reset passwords
+  "users:impersonate", // act as another user to see what they see
+  "orders:create",
+  "orders:import", // create orders with a legacy order number
+  "orders:view_all", // see every order, not only the ones assigned to you
+  "orders:update_status", // start processing, mark delivered or NDR
+  "orders:verify", // confirm Pending_Verification orders with the customer
+  "orders:dispatch", // ship and track orders through to delivery
+  "orders:cancel",
+  "orders:edit", // correct order details; see src/config/orderFields.js
+  "orders:edit_locked", // edit fields that are locked after shipping
+  "orders:assign",
+  "orders:rto", // initiate RTO
+  "orders:rto_receive",
+  "orders:delete",
+  "orders:invoice", // issue tax invoices
+  "leads:create",
+  "leads:view_all", // see every lead, not only your own and your team's
+  "leads:assign",
+  "settings:manage", // organisation settings, e.g. mandatory admin 2FA
+  "audit:view", // read the admin action audit log
+  "auth:any_time", // not bound by the employee login time window
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  manager: [
+    "orders:create",
+    "orders:view_all",
+    "orders:update_status",
+    "orders:verify",
+    "orders:dispatch",
+    "orders:cancel",
+    "orders:edit",
+    "orders:edit_locked",
+    "orders:assign",
+    "orders:rto",
+    "orders:rto_receive",
+    "orders:invoice",
+    "leads:create",
+    "leads:view_all",
+    "leads:assign",
+  ],
+  dispatcher: [
+    "orders:view_all",
+    "orders:update_status",
+    "orders:dispatch",
+    "orders:edit",
+    "orders:rto",
+    "orders:rto_receive",
+    "orders:invoice",
+  ],
+  telecaller: [
+    "orders:create",
+    "orders:update_status",
+    "orders:verify",
+    "orders:edit",
+    "leads:create",
+  ],
+  employee: [
+    "orders:create",
+    "orders:update_status",
+    "orders:edit",
+    "orders:rto",
+  ],
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {string[]}
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission, e.g. "orders:assign"
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) =>
+  getPermissions(role).includes(permission);
+
+export { ROLES, PERMISSIONS, ROLE_PERMISSIONS, getPermissions, hasPermission };
@@ -0,0 +1,74 @@
+/**
+ * Login security settings
+ *
+ * Read from the environment on each call so tests and deployments can tune
+ * them without code changes.
+ */
+
+/**
+ * Brute-force protection settings for /api/auth/login
+ * @returns {Object}
+ */
+const getLoginProtectionConfig = () => ({
+  // Consecutive failures for one account before it is locked
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  // Failures allowed before progressive delays (1s, 2s, 4s, ...) kick in
+  delayAfterAttempts: parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 2,
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30,
+  // Failures from one IP address (any account) within the window
+  ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 30,
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+});
+
+/**
+ * Seconds a user must wait after their last failed login before trying again
+ * @param {number} failedLoginCount - Consecutive failures so far
+ * @returns {number}
+ */
+const getLoginDelaySeconds = (failedLoginCount) => {
+  const { delayAfterAttempts, maxDelaySeconds } = getLoginProtectionConfig();
+  if (failedLoginCount < delayAfterAttempts) return 0;
+  return Math.min(
+    2 ** (failedLoginCount - delayAfterAttempts),
+    maxDelaySeconds
+  );
+};
+
+/**
+ * Limits on /api/auth/forgot-password, so it cannot be used to flood an
+ * inbox or keep invalidating someone's reset link
+ * @returns {Object}
+ */
+const getPasswordResetLimitConfig = () => ({
+  // Requests for one email address within the window
+  maxPerEmail: parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL) || 3,
+  // Requests from one IP address (any email) within the window
+  maxPerIp: parseInt(process.env.PASSWORD_RESET_MAX_PER_IP) || 10,
+  windowMinutes: parseInt(process.env.PASSWORD_RESET_WINDOW_MINUTES) || 60,
+});
+
+// Like parseInt(value) || fallback, but keeps an explicit 0 ("disabled")
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Idle session settings
+ * @returns {{idleTimeoutMinutes: number, sweepIntervalMinutes: number}}
+ *   0 disables the timeout or the background sweep
+ */
+const getSessionConfig = () => ({
+  // Minutes without an authenticated request before a session is closed
+  idleTimeoutMinutes: envInt("SESSION_IDLE_TIMEOUT_MINUTES", 60),
+  // How often open sessions are checked for idleness and ended login windows
+  sweepIntervalMinutes: envInt("SESSION_SWEEP_INTERVAL_MINUTES", 5),
+});
+
+export {
+  getLoginProtectionConfig,
+  getLoginDelaySeconds,
+  getPasswordResetLimitConfig,
+  getSessionConfig,
+};
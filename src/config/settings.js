@@ -0,0 +1,27 @@
+import {
+  DEFAULT_ORDER_NUMBER_FORMAT,
+  isValidOrderNumberFormat,
+} from "./orderNumber.js";
+
+/**
+ * Organisation settings
+ *
+ * Every setting an admin can change through /api/settings is declared here
+ * with its default and a validator. Values are stored in the `settings`
+ * table; unset keys fall back to the default.
+ */
+const SETTINGS = {
+  requireAdminTwoFactor: {
+    description: "Admins must enrol in TOTP two-factor authentication",
+    default: false,
+    validate: (value) => typeof value === "boolean",
+  },
+  orderNumberFormat: {
+    description:
+      "Pattern for generated order numbers and whether the sequence restarts daily or yearly",
+    default: DEFAULT_ORDER_NUMBER_FORMAT,
+    validate: isValidOrderNumberFormat,
+  },
+};
+
+export { SETTINGS };
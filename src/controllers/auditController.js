@@ -0,0 +1,56 @@
+import { AuditLog } from "../models/index.js";
+
+/**
+ * List audit log entries (Admin only)
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const {
+      actorId,
+      impersonatedUserId,
+      action,
+      entityType,
+      entityId,
+      from,
+      to,
+      page = 1,
+      limit = 50,
+    } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { entries, total } = await AuditLog.findAll({
+      actorId,
+      impersonatedUserId,
+      action,
+      entityType,
+      entityId,
+      from,
+      to,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalCount: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get audit log error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+const auditController = { getAuditLog };
+
+export default auditController;
@@ -1,7 +1,172 @@
-import jwt from "jsonwebtoken";
-import { User, LoginSession } from "../models/index.js";
-// Changed: Named import for checkLoginTime
-import { checkLoginTime } from "../middleware/auth.js";
+import {
+  User,
+  LoginSession,
+  RefreshToken,
+  LoginAttempt,
+  PasswordResetToken,
+  TwoFactorBackupCode,
+  Setting,
+} from "../models/index.js";
+import {
+  checkAccountAccess,
+  getEndReason,
+  sendAuthError,
+} from "../middleware/auth.js";
+import {
+  signAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} from "../lib/tokens.js";
+import { verifyCode } from "../lib/totp.js";
+import { getPermissions } from "../config/permissions.js";
+import { getPasswordPolicy } from "../config/passwordPolicy.js";
+import {
+  getLoginProtectionConfig,
+  getLoginDelaySeconds,
+  getPasswordResetLimitConfig,
+} from "../config/security.js";
+import { sendNotification } from "../lib/notifier/index.js";
+import {
+  monitorLogin,
+  recordOutsideWindowLogin,
+} from "../lib/securityMonitor.js";
+import { recordAudit } from "../lib/audit.js";
+
+/**
+ * Reject a login attempt that must wait, setting Retry-After
+ */
+const sendRetryLater = (res, status, code, message, retryAfter, extra = {}) => {
+  res.set("Retry-After", String(retryAfter));
+  return sendAuthError(res, status, code, message, { retryAfter, ...extra });
+};
+
+/**
+ * Seconds until the oldest attempt in a full window drops out of it
+ */
+const secondsUntilWindowFrees = (oldest, windowMinutes) =>
+  Math.max(
+    1,
+    Math.ceil(
+      (oldest.createdAt.getTime() + windowMinutes * 60 * 1000 - Date.now()) /
+        1000
+    )
+  );
+
+/**
+ * Reject the attempt if the account is locked or must still wait after its
+ * last failure
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectIfLoginBlocked = async (res, user, attempt) => {
+  if (user.lockedUntil && user.lockedUntil > new Date()) {
+    await LoginAttempt.record({ ...attempt, reason: "locked" });
+    sendRetryLater(
+      res,
+      423,
+      "ACCOUNT_LOCKED",
+      "Account is temporarily locked due to too many failed login attempts",
+      Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000),
+      { lockedUntil: user.lockedUntil }
+    );
+    return true;
+  }
+
+  // Progressive delay between consecutive failures
+  const delaySeconds = getLoginDelaySeconds(user.failedLoginCount);
+  if (delaySeconds && user.lastFailedLoginAt) {
+    const waitMs =
+      user.lastFailedLoginAt.getTime() + delaySeconds * 1000 - Date.now();
+    if (waitMs > 0) {
+      await LoginAttempt.record({ ...attempt, reason: "throttled" });
+      sendRetryLater(
+        res,
+        429,
+        "LOGIN_THROTTLED",
+        "Too many failed login attempts. Please wait before trying again.",
+        Math.ceil(waitMs / 1000)
+      );
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Record a failed credential check (password or 2FA code) and respond,
+ * locking the account once the limit is reached
+ */
+const rejectFailedLogin = async (res, user, attempt, reason, code, message) => {
+  await LoginAttempt.record({ ...attempt, reason });
+  const { lockedUntil } = await User.registerFailedLogin(
+    user.id,
+    getLoginProtectionConfig()
+  );
+
+  if (lockedUntil && lockedUntil > new Date()) {
+    return sendRetryLater(
+      res,
+      423,
+      "ACCOUNT_LOCKED",
+      "Account is temporarily locked due to too many failed login attempts",
+      Math.ceil((lockedUntil.getTime() - Date.now()) / 1000),
+      { lockedUntil }
+    );
+  }
+
+  return sendAuthError(res, 401, code, message);
+};
+
+/**
+ * Create the login session and send the token pair
+ */
+const completeLogin = async (res, user, attempt) => {
+  await LoginAttempt.record({ ...attempt, success: true });
+
+  const session = await LoginSession.create({
+    userId: user.id,
+    ipAddress: attempt.ipAddress,
+    userAgent: attempt.userAgent,
+  });
+
+  // Runs in the background; a monitoring failure must not block the login
+  monitorLogin({ user, session }).catch((error) =>
+    console.error("Login monitoring error:", error)
+  );
+
+  const token = signAccessToken(user, session.id);
+  const refreshToken = await RefreshToken.issue(session.id);
+
+  // Admins are let in to enrol, but authenticateToken restricts them to
+  // the 2FA setup routes until they do
+  const twoFactorSetupRequired =
+    user.role === "admin" &&
+    !user.twoFactorEnabled &&
+    (await Setting.get("requireAdminTwoFactor")) === true;
+
+  return res.json({
+    success: true,
+    message: "Login successful",
+    data: {
+      token,
+      refreshToken: refreshToken.token,
+      refreshTokenExpiresAt: refreshToken.expiresAt,
+      twoFactorSetupRequired,
+      mustChangePassword: user.mustChangePassword,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        role: user.role,
+        loginStartTime: user.loginStartTime,
+        loginEndTime: user.loginEndTime,
+        timezone: user.timezone,
+        permissions: getPermissions(user.role),
+      },
+    },
+  });
+};
 
 /**
  * Register a new user (Admin only)
@@ -16,6 +181,7 @@ const register = async (req, res) => {
       role = "employee",
       loginStartTime,
       loginEndTime,
+      timezone,
     } = req.body;
     const existingUser = await User.emailExists(email);
 
@@ -36,6 +202,14 @@ const register = async (req, res) => {
       role,
       loginStartTime,
       loginEndTime,
+      timezone,
+    });
+
+    await recordAudit(req, {
+      action: "user.create",
+      entityType: "user",
+      entityId: user.id,
+      after: user,
     });
 
     res
@@ -60,68 +234,272 @@ const login = async (req, res) => {
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.headers["user-agent"];
 
+    const protection = getLoginProtectionConfig();
+    const attempt = { email, ipAddress, userAgent };
+
+    // Per-IP limit across all accounts (credential stuffing)
+    const ipWindowStart = new Date(
+      Date.now() - protection.ipWindowMinutes * 60 * 1000
+    );
+    const ipFailures = await LoginAttempt.countFailuresByIp(
+      ipAddress,
+      ipWindowStart
+    );
+    if (ipFailures >= protection.ipMaxAttempts) {
+      const oldest = await LoginAttempt.findOldestFailureByIp(
+        ipAddress,
+        ipWindowStart
+      );
+      return sendRetryLater(
+        res,
+        429,
+        "TOO_MANY_ATTEMPTS",
+        "Too many failed login attempts from this network. Please try again later.",
+        secondsUntilWindowFrees(oldest, protection.ipWindowMinutes)
+      );
+    }
+
     const user = await User.findByEmail(email);
     if (!user) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Invalid email or password" });
+      await LoginAttempt.record({ ...attempt, reason: "unknown_email" });
+      return sendAuthError(
+        res,
+        401,
+        "INVALID_CREDENTIALS",
+        "Invalid email or password"
+      );
     }
+    attempt.userId = user.id;
 
-    if (!user.isActive) {
-      return res
-        .status(403)
-        .json({
-          success: false,
-          message: "Account has been deactivated. Please contact admin.",
-        });
-    }
+    if (await rejectIfLoginBlocked(res, user, attempt)) return;
 
     const isPasswordValid = await User.verifyPassword(password, user.password);
     if (!isPasswordValid) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Invalid email or password" });
+      return rejectFailedLogin(
+        res,
+        user,
+        attempt,
+        "invalid_password",
+        "INVALID_CREDENTIALS",
+        "Invalid email or password"
+      );
     }
 
-    if (user.role === "employee") {
-      const timeCheck = checkLoginTime(user.loginStartTime, user.loginEndTime);
-      if (!timeCheck.allowed) {
-        return res.status(403).json({
-          success: false,
-          message: timeCheck.message,
-          currentTime: timeCheck.currentTime,
-          allowedStartTime: user.loginStartTime,
-          allowedEndTime: user.loginEndTime,
-        });
+    if (user.failedLoginCount || user.lockedUntil) {
+      await User.clearLockout(user.id);
+    }
+
+    const denial = await checkAccountAccess(user);
+    if (denial) {
+      await LoginAttempt.record({
+        ...attempt,
+        reason: denial.code.toLowerCase(),
+      });
+      // Runs in the background, like monitorLogin; the denial stands
+      // whether or not the event is recorded
+      if (denial.code === "OUTSIDE_ALLOWED_TIME") {
+        recordOutsideWindowLogin({ user, attempt, denial }).catch((error) =>
+          console.error("Outside-window login monitoring error:", error)
+        );
       }
+      return sendAuthError(
+        res,
+        denial.status,
+        denial.code,
+        denial.message,
+        denial.details
+      );
     }
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "24h" }
-    );
+    // Second step: the client must call /login/2fa with this challenge
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(user.id),
+        },
+      });
+    }
+
+    await completeLogin(res, user, attempt);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Complete a login with a TOTP code or backup code
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers["user-agent"];
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    const user = userId ? await User.findAuthById(userId) : null;
+
+    if (!user || !user.twoFactorEnabled) {
+      return sendAuthError(
+        res,
+        401,
+        "INVALID_CHALLENGE",
+        "Two-factor challenge is invalid or has expired. Please login again."
+      );
+    }
+
+    const attempt = {
+      email: user.email,
+      userId: user.id,
+      ipAddress,
+      userAgent,
+    };
+
+    if (await rejectIfLoginBlocked(res, user, attempt)) return;
+
+    let verified = false;
+    if (code) {
+      const step = verifyCode(user.twoFactorSecret, code, {
+        afterStep: user.twoFactorLastStep ?? -1,
+      });
+      verified =
+        step !== null && (await User.markTwoFactorStepUsed(user.id, step));
+    } else if (backupCode) {
+      verified = await TwoFactorBackupCode.consume(user.id, backupCode);
+    }
+
+    if (!verified) {
+      return rejectFailedLogin(
+        res,
+        user,
+        attempt,
+        "invalid_2fa_code",
+        "INVALID_2FA_CODE",
+        "Invalid two-factor authentication code"
+      );
+    }
+
+    if (user.failedLoginCount || user.lockedUntil) {
+      await User.clearLockout(user.id);
+    }
+
+    // Re-check in case the account changed since the password step
+    const denial = await checkAccountAccess(user);
+    if (denial) {
+      return sendAuthError(
+        res,
+        denial.status,
+        denial.code,
+        denial.message,
+        denial.details
+      );
+    }
+
+    await completeLogin(res, user, attempt);
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token (rotating the refresh token)
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const stored = await RefreshToken.findByToken(refreshToken);
+    if (!stored) {
+      return sendAuthError(
+        res,
+        401,
+        "INVALID_REFRESH_TOKEN",
+        "Invalid refresh token"
+      );
+    }
+
+    const { session } = stored;
+    if (!session.isValid || session.logoutTime) {
+      return sendAuthError(
+        res,
+        401,
+        "SESSION_REVOKED",
+        "Session has been revoked. Please login again."
+      );
+    }
+
+    // Refreshing is not activity: a tab left open keeps refreshing on a timer
+    if (await LoginSession.closeIfIdle(session)) {
+      return sendAuthError(
+        res,
+        401,
+        "SESSION_IDLE",
+        "Session closed after inactivity. Please login again."
+      );
+    }
+
+    // A refresh token can only be used once. Seeing it again means it was
+    // copied, so the whole session is revoked for both parties.
+    const consumed = !stored.usedAt && (await RefreshToken.consume(stored.id));
+    if (!consumed) {
+      await LoginSession.endSession(session.id);
+      console.warn(
+        `Refresh token reuse detected for session ${session.id} (user ${session.userId})`
+      );
+      return sendAuthError(
+        res,
+        401,
+        "REFRESH_TOKEN_REUSED",
+        "Refresh token has already been used. Please login again."
+      );
+    }
 
-    await LoginSession.create({ userId: user.id, ipAddress, userAgent });
+    if (stored.expiresAt < new Date()) {
+      return sendAuthError(
+        res,
+        401,
+        "REFRESH_TOKEN_EXPIRED",
+        "Refresh token has expired. Please login again."
+      );
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      return sendAuthError(res, 401, "USER_NOT_FOUND", "User not found");
+    }
+
+    const denial = await checkAccountAccess(user);
+    if (denial) {
+      await LoginSession.endSession(session.id, {
+        reason: getEndReason(denial),
+      });
+      return sendAuthError(
+        res,
+        denial.status,
+        denial.code,
+        denial.message,
+        denial.details
+      );
+    }
+
+    const token = signAccessToken(user, session.id);
+    const nextRefreshToken = await RefreshToken.issue(session.id);
 
     res.json({
       success: true,
-      message: "Login successful",
+      message: "Token refreshed",
       data: {
         token,
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone,
-          role: user.role,
-          loginStartTime: user.loginStartTime,
-          loginEndTime: user.loginEndTime,
-        },
+        refreshToken: nextRefreshToken.token,
+        refreshTokenExpiresAt: nextRefreshToken.expiresAt,
       },
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Refresh token error:", error);
     res.status(500).json({ success: false, message: "Internal server error" });
   }
 };
@@ -135,10 +513,22 @@ const getProfile = async (req, res) => {
         name: req.user.name,
         email: req.user.email,
         phone: req.user.phone,
+        alternatePhone: req.user.alternatePhone,
+        alternateEmail: req.user.alternateEmail,
         role: req.user.role,
         loginStartTime: req.user.loginStartTime,
         loginEndTime: req.user.loginEndTime,
+        timezone: req.user.timezone,
         isActive: req.user.isActive,
+        permissions: getPermissions(req.user.role),
+        // Set while an admin is using an impersonation token
+        impersonatedBy: req.impersonator
+          ? {
+              id: req.impersonator.id,
+              name: req.impersonator.name,
+              email: req.impersonator.email,
+            }
+          : null,
       },
     });
   } catch (error) {
@@ -147,9 +537,62 @@ const getProfile = async (req, res) => {
   }
 };
 
+// Fields users may change on their own profile; everything else is admin-only
+const PROFILE_FIELDS = ["name", "phone", "alternatePhone", "alternateEmail"];
+
+/**
+ * Update the caller's own name, phone and alternate contact details
+ */
+const updateProfile = async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      // Alternate contacts can be cleared with null or ""
+      updates[field] = field.startsWith("alternate")
+        ? req.body[field] || null
+        : req.body[field];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No fields to update",
+      });
+    }
+
+    const before = await User.findById(req.user.id);
+    const user = await User.update(req.user.id, updates);
+
+    await recordAudit(req, {
+      action: "user.profile_update",
+      entityType: "user",
+      entityId: user.id,
+      before,
+      after: user,
+    });
+
+    res.json({
+      success: true,
+      message: "Profile updated successfully",
+      data: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        alternatePhone: user.alternatePhone,
+        alternateEmail: user.alternateEmail,
+      },
+    });
+  } catch (error) {
+    console.error("Update profile error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
 const logout = async (req, res) => {
   try {
-    await LoginSession.endSession(req.user.id);
+    await LoginSession.endSession(req.sessionId, { reason: "logout" });
     res.json({ success: true, message: "Logged out successfully" });
   } catch (error) {
     console.error("Logout error:", error);
@@ -172,7 +615,23 @@ const changePassword = async (req, res) => {
         .json({ success: false, message: "Current password is incorrect" });
     }
 
+    if (await User.isPasswordReused(req.user.id, newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: `New password must differ from your last ${
+          getPasswordPolicy().historyCount
+        } passwords`,
+        code: "PASSWORD_REUSED",
+      });
+    }
+
     await User.updatePassword(req.user.id, newPassword);
+
+    // Sign out every other device; the current session stays logged in
+    await LoginSession.invalidateAllSessions(req.user.id, {
+      exceptSessionId: req.sessionId,
+    });
+
     res.json({ success: true, message: "Password changed successfully" });
   } catch (error) {
     console.error("Change password error:", error);
@@ -180,5 +639,173 @@ const changePassword = async (req, res) => {
   }
 };
 
-const authController = { register, login, getProfile, logout, changePassword };
+/**
+ * Issue a reset token and send the link. Runs after the response so the
+ * response time does not reveal whether the email has an account.
+ */
+const sendPasswordReset = async (user, ipAddress) => {
+  const ttlMinutes =
+    parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 30;
+  const { token } = await PasswordResetToken.issue(user.id, {
+    ttlMinutes,
+    ipAddress,
+  });
+
+  const resetUrl = `${
+    process.env.FRONTEND_URL || "http://localhost:5173"
+  }/reset-password?token=${encodeURIComponent(token)}`;
+  const channel = process.env.PASSWORD_RESET_CHANNEL || "email";
+
+  await sendNotification({
+    channel,
+    to: channel === "sms" ? user.phone : user.email,
+    subject: "Reset your FBS password",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Use this link to reset your password. It expires in ${ttlMinutes} minutes and can be used once:\n` +
+      `${resetUrl}\n\n` +
+      "If you did not request this, you can ignore this message.",
+  });
+};
+
+/**
+ * Request a password reset link (self-service)
+ * Always answers the same way so it cannot be used to probe for accounts.
+ * Limited per email and per IP address; requests count whether or not the
+ * email has an account, so the limit reveals nothing either.
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers["user-agent"];
+
+    const limits = getPasswordResetLimitConfig();
+    const windowStart = new Date(
+      Date.now() - limits.windowMinutes * 60 * 1000
+    );
+    const [byEmail, byIp] = await Promise.all([
+      LoginAttempt.findResetRequests({ email }, windowStart),
+      LoginAttempt.findResetRequests({ ipAddress }, windowStart),
+    ]);
+
+    const full = [
+      byEmail.count >= limits.maxPerEmail && byEmail,
+      byIp.count >= limits.maxPerIp && byIp,
+    ].filter(Boolean);
+
+    if (full.length) {
+      return sendRetryLater(
+        res,
+        429,
+        "TOO_MANY_ATTEMPTS",
+        "Too many password reset requests. Please try again later.",
+        Math.max(
+          ...full.map(({ oldest }) =>
+            secondsUntilWindowFrees(oldest, limits.windowMinutes)
+          )
+        )
+      );
+    }
+
+    const user = await User.findByEmail(email);
+    await LoginAttempt.recordResetRequest({
+      email,
+      userId: user?.id,
+      ipAddress,
+      userAgent,
+    });
+
+    if (user && user.isActive) {
+      // Runs in the background; delivery failures are logged, not reported,
+      // to keep the response identical for known and unknown emails
+      sendPasswordReset(user, ipAddress).catch((error) =>
+        console.error("Password reset notification error:", error)
+      );
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an account exists for this email, password reset instructions have been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Set a new password using a reset token
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const resetToken = await PasswordResetToken.findValid(token);
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset link is invalid or has expired",
+        code: "INVALID_RESET_TOKEN",
+      });
+    }
+    const { userId } = resetToken;
+
+    if (await User.isPasswordReused(userId, newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: `New password must differ from your last ${
+          getPasswordPolicy().historyCount
+        } passwords`,
+        code: "PASSWORD_REUSED",
+      });
+    }
+
+    if (!(await PasswordResetToken.consume(resetToken.id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset link is invalid or has expired",
+        code: "INVALID_RESET_TOKEN",
+      });
+    }
+
+    await User.updatePassword(userId, newPassword);
+    await User.clearLockout(userId);
+    await LoginSession.invalidateAllSessions(userId);
+
+    res.json({
+      success: true,
+      message: "Password has been reset. Please login with your new password.",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Describe the password policy so the frontend can show the rules
+ */
+const getPasswordPolicyInfo = (req, res) => {
+  const { historyCount, ...rules } = getPasswordPolicy();
+  res.json({
+    success: true,
+    data: { ...rules, historyCount, rejectsCommonPasswords: true },
+  });
+};
+
+const authController = {
+  register,
+  login,
+  loginTwoFactor,
+  refresh,
+  getProfile,
+  updateProfile,
+  logout,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getPasswordPolicyInfo,
+};
 export default authController;
@@ -0,0 +1,98 @@
+import { Holiday } from "../models/index.js";
+import { recordAudit } from "../lib/audit.js";
+
+/**
+ * List company holidays
+ */
+const getHolidays = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const holidays = await Holiday.findAll({ from, to });
+
+    res.json({
+      success: true,
+      data: holidays,
+    });
+  } catch (error) {
+    console.error("Get holidays error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Add a company holiday (Admin only)
+ */
+const createHoliday = async (req, res) => {
+  try {
+    const { date, name } = req.body;
+
+    const holiday = await Holiday.create({ date, name });
+
+    await recordAudit(req, {
+      action: "holiday.create",
+      entityType: "holiday",
+      entityId: holiday.id,
+      after: holiday,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Holiday created successfully",
+      data: holiday,
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        success: false,
+        message: "A holiday already exists on this date",
+      });
+    }
+
+    console.error("Create holiday error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Remove a company holiday (Admin only)
+ */
+const deleteHoliday = async (req, res) => {
+  try {
+    const deleted = await Holiday.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday not found",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "holiday.delete",
+      entityType: "holiday",
+      entityId: deleted.id,
+      before: deleted,
+    });
+
+    res.json({
+      success: true,
+      message: "Holiday deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete holiday error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+const holidayController = { getHolidays, createHoliday, deleteHoliday };
+export default holidayController;
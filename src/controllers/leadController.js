@@ -1,11 +1,35 @@
 import { json } from "node:stream/consumers";
 import { prisma } from "../lib/prisma.js";
+import { Lead, User } from "../models/index.js";
+import { getVisibleUserIds, canReassign } from "../lib/teamAccess.js";
+import { recordAudit } from "../lib/audit.js";
 
 export const createLead = async (req, res) => {
   const { customerName, product, customerPhone, assignedToId, customerQuery } =
     req.body;
 
   try {
+    // The new lead goes to the requested assignee only if the creator may
+    // assign it to them (leads:assign, or a supervisor and their team)
+    let assigneeId = assignedToId ? parseInt(assignedToId) : null;
+
+    const mayAssign =
+      assigneeId &&
+      (await canReassign(req.user, "leads:assign", [null, assigneeId], {
+        createdById: req.user.id,
+      }));
+    if (!mayAssign) assigneeId = null;
+
+    if (assigneeId) {
+      const [assignee] = await User.findActive({ ids: [assigneeId] });
+      if (!assignee) {
+        return res.status(400).json({
+          success: false,
+          error: "Assignee must be an active user",
+        });
+      }
+    }
+
     const newLead = await prisma.lead.create({
       data: {
         customerName,
@@ -13,7 +37,7 @@ export const createLead = async (req, res) => {
         customerPhone,
         customerQuery,
         createdById: parseInt(req.user.id),
-        assignedToId: assignedToId ? parseInt(assignedToId) : null,
+        assignedToId: assigneeId,
       },
       include: {
         assignedTo: { select: { name: true } },
@@ -36,4 +60,116 @@ export const createLead = async (req, res) => {
     console.error("Create Lead Error:", error);
     res.status(500).json({ success: false, error: "Internal server error" });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * List leads
+ * leads:view_all: all leads
+ * Everyone else: leads they created or are assigned, plus their team's
+ * leads for supervisors
+ */
+export const getLeads = async (req, res) => {
+  try {
+    const { assignedToId, search, limit, offset } = req.query;
+    const visibleIds = await getVisibleUserIds(req.user, "leads:view_all");
+
+    if (
+      assignedToId &&
+      visibleIds &&
+      !visibleIds.includes(Number(assignedToId))
+    ) {
+      return res.status(403).json({ success: false, error: "Access denied" });
+    }
+
+    const result = await Lead.findAll({
+      visibleToUserIds: visibleIds,
+      assignedToId,
+      search,
+      limit: Number(limit) || 10,
+      offset: Number(offset) || 0,
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Get Leads Error:", error);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+/**
+ * Get a lead by ID
+ */
+export const getLeadById = async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({ success: false, error: "Lead not found" });
+    }
+
+    const visibleIds = await getVisibleUserIds(req.user, "leads:view_all");
+    if (
+      visibleIds &&
+      !visibleIds.includes(lead.assignedToId) &&
+      !visibleIds.includes(lead.createdById)
+    ) {
+      return res.status(403).json({ success: false, error: "Access denied" });
+    }
+
+    res.json({ success: true, data: lead });
+  } catch (error) {
+    console.error("Get Lead Error:", error);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+/**
+ * Reassign a lead
+ * Requires leads:assign, or a supervisor moving the lead within their team
+ */
+export const assignLead = async (req, res) => {
+  try {
+    const assignedToId = parseInt(req.body.assignedToId);
+
+    const lead = await Lead.findById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({ success: false, error: "Lead not found" });
+    }
+
+    const allowed = await canReassign(
+      req.user,
+      "leads:assign",
+      [lead.assignedToId, assignedToId],
+      { createdById: lead.createdById }
+    );
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only reassign leads within your team",
+      });
+    }
+
+    const [assignee] = await User.findActive({ ids: [assignedToId] });
+    if (!assignee) {
+      return res.status(400).json({
+        success: false,
+        error: "Assignee must be an active user",
+      });
+    }
+
+    const updated = await Lead.assign(lead.id, assignedToId);
+
+    await recordAudit(req, {
+      action: "lead.assign",
+      entityType: "lead",
+      entityId: lead.id,
+      before: { assignedToId: lead.assignedToId },
+      after: { assignedToId },
+    });
+
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error("Assign Lead Error:", error);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
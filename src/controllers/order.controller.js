@@ -1,15 +1,193 @@
 import Order from "../models/Orders.js";
+import { User, Invoice } from "../models/index.js";
+import { getVisibleUserIds, canReassign } from "../lib/teamAccess.js";
+import { recordAudit } from "../lib/audit.js";
+import { hasPermission } from "../config/permissions.js";
+import {
+  findTransition,
+  getAllowedTransitions,
+  isOpenOrderStatus,
+} from "../config/orderStatus.js";
+import { getOrderEditDenials } from "../config/orderFields.js";
+import { generateOrderNumber } from "../lib/orderNumber.js";
+import {
+  PRICING_FIELDS,
+  priceOrder,
+  matchesClientTotal,
+  getBalanceDue,
+} from "../lib/orderPricing.js";
+import {
+  CREDITED_STATUSES,
+  isInvoicingConfigured,
+  getInvoiceBlocker,
+  issueInvoice,
+  issueCreditNote,
+  renderInvoicePdf,
+} from "../lib/invoice.js";
+
+/**
+ * Price an order, or respond with 400 when it cannot be priced or the
+ * client's totalAmount disagrees with the computed total.
+ * @param {Object} order - Items and pricing inputs
+ * @param {number|string} [clientTotal] - totalAmount sent by the client
+ * @param {Object} [options]
+ * @param {boolean} [options.allowMismatch] - Keep a disagreeing client total
+ *   instead of rejecting it
+ * @returns {{pricing: Object, mismatch: boolean}|null}
+ */
+const priceOrRespond = (
+  res,
+  order,
+  clientTotal,
+  { allowMismatch = false } = {}
+) => {
+  const { pricing, errors } = priceOrder(order);
+
+  if (!pricing) {
+    res.status(400).json({
+      success: false,
+      message: "Order cannot be priced",
+      code: "INVALID_PRICING",
+      errors,
+    });
+    return null;
+  }
+
+  const mismatch = !matchesClientTotal(clientTotal, pricing.totalAmount);
+
+  if (mismatch && !allowMismatch) {
+    res.status(400).json({
+      success: false,
+      message: `totalAmount ${clientTotal} does not match the computed total ${pricing.totalAmount}`,
+      code: "TOTAL_MISMATCH",
+      pricing,
+    });
+    return null;
+  }
+
+  return { pricing, mismatch };
+};
+
+// Attempts at a generated number before giving up; a generated number can
+// only clash with a legacy number imported earlier
+const MAX_ORDER_NUMBER_ATTEMPTS = 5;
 
 /**
  * Create new order
  * Admin / Employee
+ * The order number is generated (see src/config/orderNumber.js); only
+ * orders:import may supply one, e.g. when importing legacy orders.
+ * Totals are computed from the items; an imported order keeps a legacy
+ * total that disagrees, flagged with pricingMismatch.
  */
 export const createOrder = async (req, res, next) => {
   try {
-    const order = await Order.create({
-      ...req.body,
-      createdById: req.user.id,
+    const legacyNumber = req.body.orderNumber;
+
+    if (
+      legacyNumber !== undefined &&
+      !hasPermission(req.user.role, "orders:import")
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Order numbers are generated by the server",
+      });
+    }
+
+    const priced = priceOrRespond(res, req.body, req.body.totalAmount, {
+      allowMismatch: legacyNumber !== undefined,
     });
+    if (!priced) return;
+
+    const { pricing, mismatch } = priced;
+    const totalAmount = mismatch ? req.body.totalAmount : pricing.totalAmount;
+
+    // The new order goes to the requested assignee only if the creator may
+    // assign it to them (orders:assign, or a supervisor and their team)
+    let assignedTo = req.body.assignedTo ? parseInt(req.body.assignedTo) : null;
+
+    const mayAssign =
+      assignedTo &&
+      (await canReassign(req.user, "orders:assign", [null, assignedTo], {
+        createdById: req.user.id,
+      }));
+    if (!mayAssign) assignedTo = null;
+
+    if (assignedTo) {
+      const [assignee] = await User.findActive({ ids: [assignedTo] });
+      if (!assignee) {
+        return res.status(400).json({
+          success: false,
+          message: "Assignee must be an active user",
+        });
+      }
+    }
+
+    const {
+      customerName,
+      customerPhone,
+      customerEmail,
+      customerAlternatePhone,
+      shippingAddress,
+      stateCode,
+      items,
+      withGST,
+      gstRate,
+      paymentType,
+      deliveryPartner,
+      liveLocation,
+      orderRemark,
+    } = req.body;
+
+    let order;
+
+    for (let attempt = 1; !order; attempt++) {
+      const orderNumber = legacyNumber ?? (await generateOrderNumber(req.body));
+
+      try {
+        order = await Order.create({
+          customerName,
+          customerPhone,
+          customerEmail,
+          customerAlternatePhone,
+          shippingAddress,
+          stateCode,
+          items,
+          withGST,
+          gstRate,
+          paymentType,
+          deliveryPartner,
+          liveLocation,
+          orderRemark,
+          orderNumber,
+          discount: pricing.discount,
+          advance: pricing.advance,
+          courierCharges: pricing.courierCharges,
+          totalAmount,
+          pricing: {
+            ...pricing,
+            balanceDue: getBalanceDue(totalAmount, pricing.advance),
+          },
+          pricingMismatch: mismatch,
+          // Orders wait for verification unless their creator may verify
+          status: hasPermission(req.user.role, "orders:verify")
+            ? "Pending"
+            : "Pending_Verification",
+          createdById: req.user.id,
+          assignedTo,
+        });
+      } catch (error) {
+        if (error.code !== "P2002") throw error;
+
+        if (legacyNumber !== undefined) {
+          return res.status(409).json({
+            success: false,
+            message: `Order number ${legacyNumber} already exists`,
+          });
+        }
+        if (attempt === MAX_ORDER_NUMBER_ATTEMPTS) throw error;
+      }
+    }
 
     res.status(201).json({
       success: true,
@@ -23,12 +201,13 @@ export const createOrder = async (req, res, next) => {
 
 /**
  * Get all orders
- * Admin: all orders
- * Employee: only assigned orders
+ * orders:view_all: all orders
+ * Supervisors: their own and their team members' orders
+ * Everyone else: only assigned orders
  */
 export const getOrders = async (req, res, next) => {
   try {
-    const { status, paymentStatus, limit, offset } = req.query;
+    const { status, paymentStatus, assignedToId, limit, offset } = req.query;
 
     const filters = {
       status,
@@ -37,8 +216,18 @@ export const getOrders = async (req, res, next) => {
       offset: Number(offset) || 0,
     };
 
-    if (req.user.role === "employee") {
-      filters.assignedToId = req.user.id;
+    const visibleIds = await getVisibleUserIds(req.user, "orders:view_all");
+
+    if (assignedToId) {
+      if (visibleIds && !visibleIds.includes(Number(assignedToId))) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        });
+      }
+      filters.assignedToId = assignedToId;
+    } else if (visibleIds) {
+      filters.assignedToIds = visibleIds;
     }
 
     const result = await Order.findAll(filters);
@@ -52,32 +241,131 @@ export const getOrders = async (req, res, next) => {
   }
 };
 
+/**
+ * Load an order the caller may see, or respond with 404/403.
+ * Users without orders:view_all only see their own and their team's orders.
+ * @returns {Promise<Object|null>}
+ */
+const loadVisibleOrder = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: "Order not found",
+    });
+    return null;
+  }
+
+  const visibleIds = await getVisibleUserIds(req.user, "orders:view_all");
+  if (visibleIds && !visibleIds.includes(order.assignedToId)) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+    return null;
+  }
+
+  return order;
+};
+
 /**
  * Get order by ID
  */
 export const getOrderById = async (req, res, next) => {
   try {
-    const order = await Order.findById(req.params.id);
+    const order = await loadVisibleOrder(req, res);
+    if (!order) return;
 
-    if (!order) {
-      return res.status(404).json({
+    res.json({ success: true, data: order });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit order details
+ * Requires orders:edit; per-field rules in src/config/orderFields.js.
+ * Each changed field is stored in the order's change log.
+ */
+export const updateOrder = async (req, res, next) => {
+  try {
+    const order = await loadVisibleOrder(req, res);
+    if (!order) return;
+
+    const fields = Object.keys(req.body);
+    if (!fields.length) {
+      return res.status(400).json({
         success: false,
-        message: "Order not found",
+        message: "No fields to update",
       });
     }
 
-    // Employee access guard
+    const getDenials = (current) =>
+      getOrderEditDenials(current, fields, req.user.role);
+    const sendDenials = (denials) =>
+      res.status(403).json({
+        success: false,
+        message: "You are not allowed to change some of these fields",
+        code: "FORBIDDEN",
+        errors: denials,
+      });
+
+    const denials = getDenials(order);
+    if (denials.length) return sendDenials(denials);
+
+    const { totalAmount, ...updates } = req.body;
+
+    // Any change to a pricing input (or a totalAmount to check) reprices the
+    // order from its items
     if (
-      req.user.role === "employee" &&
-      order.assignedToId !== req.user.id
+      totalAmount !== undefined ||
+      PRICING_FIELDS.some((field) => field in updates)
     ) {
-      return res.status(403).json({
+      const priced = priceOrRespond(res, { ...order, ...updates }, totalAmount);
+      if (!priced) return;
+
+      Object.assign(updates, priced.pricing, { pricingMismatch: false });
+    }
+
+    // The locks are checked again on the order as read inside the update,
+    // in case it changed status or was invoiced since it was loaded above
+    const result = await Order.update(order.id, updates, {
+      changedById: req.impersonator?.id ?? req.user.id,
+      getDenials,
+    });
+
+    if (!result) {
+      return res.status(404).json({
         success: false,
-        message: "Access denied",
+        message: "Order not found",
       });
     }
 
-    res.json({ success: true, data: order });
+    if (result.denials) return sendDenials(result.denials);
+
+    if (result.conflict) {
+      return res.status(409).json({
+        success: false,
+        message: "Order status changed in the meantime. Reload and try again.",
+        code: "STATUS_CONFLICT",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.changes.length
+        ? "Order updated successfully"
+        : "No changes to save",
+      data: {
+        ...result.order,
+        changes: result.changes.map(({ field, oldValue, newValue }) => ({
+          field,
+          oldValue,
+          newValue,
+        })),
+      },
+    });
   } catch (error) {
     next(error);
   }
@@ -85,13 +373,65 @@ export const getOrderById = async (req, res, next) => {
 
 /**
  * Assign order to employee
- * Admin only
+ * Requires orders:assign, or a supervisor moving the order within their team
  */
 export const assignOrder = async (req, res, next) => {
   try {
-    const { assignedToId } = req.body;
+    const assignedToId = parseInt(req.body.assignedToId);
 
-    await Order.assign(req.params.id, assignedToId);
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (!isOpenOrderStatus(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot assign an order that is ${order.status}`,
+        code: "ORDER_CLOSED",
+      });
+    }
+
+    const allowed = await canReassign(
+      req.user,
+      "orders:assign",
+      [order.assignedToId, assignedToId],
+      { createdById: order.createdById }
+    );
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only reassign orders within your team",
+      });
+    }
+
+    const [assignee] = await User.findActive({ ids: [assignedToId] });
+    if (!assignee) {
+      return res.status(400).json({
+        success: false,
+        message: "Assignee must be an active user",
+      });
+    }
+
+    const assigned = await Order.assign(order.id, assignedToId, order.status);
+    if (!assigned) {
+      return res.status(409).json({
+        success: false,
+        message: "Order status changed in the meantime. Reload and try again.",
+        code: "STATUS_CONFLICT",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "order.assign",
+      entityType: "order",
+      entityId: order.id,
+      before: { assignedToId: order.assignedToId },
+      after: { assignedToId },
+    });
 
     res.json({
       success: true,
@@ -102,19 +442,279 @@ export const assignOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * Record an issued invoice or credit note in the audit log
+ */
+const auditIssue = (req, invoice) =>
+  recordAudit(req, {
+    action: "invoice.issue",
+    entityType: "invoice",
+    entityId: invoice.id,
+    after: {
+      type: invoice.type,
+      invoiceNumber: invoice.invoiceNumber,
+      orderId: invoice.orderId,
+      totalAmount: invoice.totalAmount,
+    },
+  });
+
+/**
+ * Move a visible order to a new status if the state machine and the
+ * caller's permissions allow it
+ * @returns {Promise<Object|null>} Updated order, or null if a response was sent
+ */
+const transitionOrder = async (req, res, to, note) => {
+  const order = await loadVisibleOrder(req, res);
+  if (!order) return null;
+
+  const transition = findTransition(order.status, to);
+  if (!transition) {
+    res.status(400).json({
+      success: false,
+      message: `Cannot move an order from ${order.status} to ${to}`,
+      code: "INVALID_TRANSITION",
+      allowed: getAllowedTransitions(order.status, req.user.role),
+    });
+    return null;
+  }
+
+  if (!hasPermission(req.user.role, transition.permission)) {
+    res.status(403).json({
+      success: false,
+      message: `You are not allowed to move an order from ${order.status} to ${to}`,
+      code: "FORBIDDEN",
+    });
+    return null;
+  }
+
+  if (transition.requiresNote && !note?.trim()) {
+    res.status(400).json({
+      success: false,
+      message: `A note is required to move an order to ${to}`,
+      code: "NOTE_REQUIRED",
+    });
+    return null;
+  }
+
+  const updated = await Order.updateStatus(order.id, {
+    from: order.status,
+    to,
+    note: note?.trim(),
+  });
+
+  if (!updated) {
+    res.status(409).json({
+      success: false,
+      message: "Order status changed in the meantime. Reload and try again.",
+      code: "STATUS_CONFLICT",
+    });
+    return null;
+  }
+
+  await recordAudit(req, {
+    action: "order.status_change",
+    entityType: "order",
+    entityId: order.id,
+    before: { status: order.status },
+    after: { status: to, note: note?.trim() || null },
+  });
+
+  // The status change stands even if the credit note fails; it can be
+  // issued again with POST /api/orders/:id/credit-note
+  if (CREDITED_STATUSES.includes(to)) {
+    try {
+      const creditNote = await issueCreditNote(updated, {
+        issuedById: req.impersonator?.id ?? req.user.id,
+        note: note?.trim(),
+      });
+      if (creditNote) await auditIssue(req, creditNote);
+    } catch (error) {
+      console.error("Issue credit note error:", error);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Send a stored invoice or credit note as JSON or a PDF download
+ * @param {string} [format] - "json" or "pdf" (default)
+ */
+const sendInvoice = (res, invoice, format = "pdf") => {
+  if (format === "json") {
+    return res.json({
+      success: true,
+      data: invoice,
+    });
+  }
+
+  res.attachment(`${invoice.invoiceNumber.replaceAll("/", "-")}.pdf`);
+  res.type("application/pdf");
+  res.send(renderInvoicePdf(invoice.data));
+};
+
+const sendNotConfigured = (res) =>
+  res.status(503).json({
+    success: false,
+    message:
+      "Invoicing is not configured. Set SELLER_NAME, SELLER_GSTIN and SELLER_STATE_CODE, and keep INVOICE_PREFIX and CREDIT_NOTE_PREFIX different and to 5 letters, digits or hyphens.",
+    code: "INVOICING_NOT_CONFIGURED",
+  });
+
+/**
+ * Get an order's issued tax invoice. Anyone who can see the order can read
+ * it.
+ */
+export const getOrderInvoice = async (req, res, next) => {
+  try {
+    const order = await loadVisibleOrder(req, res);
+    if (!order) return;
+
+    const invoice = await Invoice.findByOrder(order.id, "invoice");
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Order has not been invoiced yet",
+      });
+    }
+
+    sendInvoice(res, invoice, req.query.format);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue an order's tax invoice (orders:invoice). Returns the existing one
+ * if it is already invoiced.
+ */
+export const issueOrderInvoice = async (req, res, next) => {
+  try {
+    const order = await loadVisibleOrder(req, res);
+    if (!order) return;
+
+    const existing = await Invoice.findByOrder(order.id, "invoice");
+    if (existing) return sendInvoice(res, existing, req.query.format);
+
+    if (!isInvoicingConfigured()) return sendNotConfigured(res);
+
+    const blocker = getInvoiceBlocker(order);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        ...blocker,
+      });
+    }
+
+    const invoice = await issueInvoice(
+      order,
+      req.impersonator?.id ?? req.user.id
+    );
+    await auditIssue(req, invoice);
+
+    res.status(201);
+    sendInvoice(res, invoice, req.query.format);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the credit note of an invoiced order that was cancelled or returned
+ */
+export const getOrderCreditNote = async (req, res, next) => {
+  try {
+    const order = await loadVisibleOrder(req, res);
+    if (!order) return;
+
+    const creditNote = await Invoice.findByOrder(order.id, "credit_note");
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: "Order has no credit note",
+      });
+    }
+
+    sendInvoice(res, creditNote, req.query.format);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue the credit note of an invoiced order that was cancelled or returned
+ * (orders:invoice). It is normally issued by the status change; this
+ * retries it if that failed, and returns the existing one otherwise.
+ */
+export const issueOrderCreditNote = async (req, res, next) => {
+  try {
+    const order = await loadVisibleOrder(req, res);
+    if (!order) return;
+
+    const existing = await Invoice.findByOrder(order.id, "credit_note");
+    if (existing) return sendInvoice(res, existing, req.query.format);
+
+    if (!isInvoicingConfigured()) return sendNotConfigured(res);
+
+    const creditNote = await issueCreditNote(order, {
+      issuedById: req.impersonator?.id ?? req.user.id,
+    });
+
+    if (!creditNote) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Only an invoiced order that was cancelled or returned can be credited",
+        code: "NOT_CREDITABLE",
+      });
+    }
+
+    await auditIssue(req, creditNote);
+
+    res.status(201);
+    sendInvoice(res, creditNote, req.query.format);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Statuses the caller may move an order to next
+ */
+export const getOrderTransitions = async (req, res, next) => {
+  try {
+    const order = await loadVisibleOrder(req, res);
+    if (!order) return;
+
+    res.json({
+      success: true,
+      data: {
+        status: order.status,
+        transitions: getAllowedTransitions(order.status, req.user.role),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update order status
- * Admin / Employee (own orders)
+ * Allowed transitions and their permissions: src/config/orderStatus.js
  */
 export const updateOrderStatus = async (req, res, next) => {
   try {
     const { status, note } = req.body;
 
-    await Order.updateStatus(req.params.id, status, note);
+    const order = await transitionOrder(req, res, status, note);
+    if (!order) return;
 
     res.json({
       success: true,
       message: "Order status updated",
+      data: order,
     });
   } catch (error) {
     next(error);
@@ -126,11 +726,13 @@ export const updateOrderStatus = async (req, res, next) => {
  */
 export const markDelivered = async (req, res, next) => {
   try {
-    await Order.markDelivered(req.params.id);
+    const order = await transitionOrder(req, res, "Delivered", req.body?.note);
+    if (!order) return;
 
     res.json({
       success: true,
       message: "Order marked as delivered",
+      data: order,
     });
   } catch (error) {
     next(error);
@@ -142,13 +744,13 @@ export const markDelivered = async (req, res, next) => {
  */
 export const initiateRTO = async (req, res, next) => {
   try {
-    const { reason } = req.body;
-
-    await Order.initiateRTO(req.params.id, reason);
+    const order = await transitionOrder(req, res, "RTO", req.body.reason);
+    if (!order) return;
 
     res.json({
       success: true,
       message: "RTO initiated",
+      data: order,
     });
   } catch (error) {
     next(error);
@@ -160,7 +762,25 @@ export const initiateRTO = async (req, res, next) => {
  */
 export const markRTOReceived = async (req, res, next) => {
   try {
-    await Order.markRTOReceived(req.params.id);
+    const order = await loadVisibleOrder(req, res);
+    if (!order) return;
+
+    const received = await Order.markRTOReceived(order.id);
+
+    if (!received) {
+      return res.status(400).json({
+        success: false,
+        message: "Order has no RTO awaiting receipt",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "order.rto_received",
+      entityType: "order",
+      entityId: order.id,
+      before: { rtoReceived: false },
+      after: { rtoReceived: true },
+    });
 
     res.json({
       success: true,
@@ -173,11 +793,21 @@ export const markRTOReceived = async (req, res, next) => {
 
 /**
  * Delete order
- * Admin only
+ * Requires orders:delete
  */
 export const deleteOrder = async (req, res, next) => {
   try {
-    const deleted = await Order.delete(req.params.id);
+    // Keep a full snapshot in the audit log; the row and its items are gone
+    const order = await Order.findById(req.params.id);
+
+    if (order?.invoices.length) {
+      return res.status(409).json({
+        success: false,
+        message: "Invoiced orders cannot be deleted. Cancel the order instead.",
+      });
+    }
+
+    const deleted = order && (await Order.delete(order.id));
 
     if (!deleted) {
       return res.status(404).json({
@@ -186,6 +816,13 @@ export const deleteOrder = async (req, res, next) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "order.delete",
+      entityType: "order",
+      entityId: order.id,
+      before: order,
+    });
+
     res.json({
       success: true,
       message: "Order deleted",
@@ -0,0 +1,101 @@
+import { SecurityEvent } from "../models/index.js";
+import { recordAudit } from "../lib/audit.js";
+
+/**
+ * List security events (Admin only)
+ */
+const getSecurityEvents = async (req, res) => {
+  try {
+    const {
+      type,
+      userId,
+      acknowledged,
+      from,
+      to,
+      page = 1,
+      limit = 20,
+    } = req.query;
+    const offset = (page - 1) * limit;
+
+    const [{ events, total }, unacknowledged] = await Promise.all([
+      SecurityEvent.findAll({
+        type,
+        userId,
+        acknowledged:
+          acknowledged !== undefined ? acknowledged === "true" : undefined,
+        from,
+        to,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      }),
+      SecurityEvent.countUnacknowledged(),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        unacknowledged,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalCount: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get security events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Acknowledge a security event after review (Admin only)
+ */
+const acknowledgeSecurityEvent = async (req, res) => {
+  try {
+    const event = await SecurityEvent.acknowledge(
+      req.params.id,
+      req.user.id,
+      req.body.note
+    );
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Unacknowledged security event not found",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "security_event.acknowledge",
+      entityType: "security_event",
+      entityId: event.id,
+      before: { acknowledgedAt: null },
+      after: { acknowledgedAt: event.acknowledgedAt, note: event.note },
+    });
+
+    res.json({
+      success: true,
+      message: "Security event acknowledged",
+      data: event,
+    });
+  } catch (error) {
+    console.error("Acknowledge security event error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+const securityEventController = {
+  getSecurityEvents,
+  acknowledgeSecurityEvent,
+};
+
+export default securityEventController;
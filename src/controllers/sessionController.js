@@ -0,0 +1,149 @@
+import { LoginSession } from "../models/index.js";
+import { recordAudit } from "../lib/audit.js";
+
+/**
+ * Shape a session for API responses
+ * @param {Object} session - LoginSession row
+ * @param {number} [currentSessionId] - Session the caller is using
+ */
+const formatSession = (session, currentSessionId) => ({
+  id: session.id,
+  ipAddress: session.ipAddress,
+  userAgent: session.userAgent,
+  loginTime: session.loginTime,
+  lastSeenAt: session.lastSeenAt,
+  current: session.id === currentSessionId,
+  ...(session.user && { user: session.user }),
+});
+
+/**
+ * List the caller's own active sessions (devices)
+ */
+const getMySessions = async (req, res) => {
+  try {
+    const sessions = await LoginSession.getActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => formatSession(session, req.sessionId)),
+    });
+  } catch (error) {
+    console.error("Get my sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Revoke one of the caller's own sessions
+ */
+const revokeMySession = async (req, res) => {
+  try {
+    const ended = await LoginSession.endSession(req.params.sessionId, {
+      userId: req.user.id,
+    });
+
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        message: "Active session not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke my session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * List everyone currently logged in (Admin only)
+ */
+const getActiveSessions = async (req, res) => {
+  try {
+    const { userId, role } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const { sessions, total } = await LoginSession.findAllActive({
+      userId,
+      role,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) =>
+          formatSession(session, req.sessionId)
+        ),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalCount: total,
+          limit,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get active sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Force-logout a specific session (Admin only)
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const ended = await LoginSession.endSession(req.params.id);
+
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        message: "Active session not found",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "session.revoke",
+      entityType: "session",
+      entityId: ended.id,
+      after: { userId: ended.userId },
+    });
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+      data: { id: ended.id, userId: ended.userId },
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+const sessionController = {
+  getMySessions,
+  revokeMySession,
+  getActiveSessions,
+  revokeSession,
+};
+
+export default sessionController;
@@ -0,0 +1,74 @@
+import { Setting } from "../models/index.js";
+import { SETTINGS } from "../config/settings.js";
+import { recordAudit } from "../lib/audit.js";
+
+/**
+ * Get all organisation settings (Admin only)
+ */
+const getSettings = async (req, res) => {
+  try {
+    const settings = await Setting.getAll();
+
+    res.json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    console.error("Get settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Update one organisation setting (Admin only)
+ */
+const updateSetting = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { value } = req.body;
+    const definition = SETTINGS[key];
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: "Setting not found",
+      });
+    }
+
+    if (value === undefined || !definition.validate(value)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid value for ${key}`,
+      });
+    }
+
+    const previous = await Setting.get(key);
+    await Setting.set(key, value, req.user.id);
+
+    await recordAudit(req, {
+      action: "setting.update",
+      entityType: "setting",
+      entityId: key,
+      before: { value: previous },
+      after: { value },
+    });
+
+    res.json({
+      success: true,
+      message: "Setting updated successfully",
+      data: { key, value },
+    });
+  } catch (error) {
+    console.error("Update setting error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+const settingsController = { getSettings, updateSetting };
+export default settingsController;
@@ -0,0 +1,394 @@
+import { Team, User } from "../models/index.js";
+import { canViewTeam } from "../lib/teamAccess.js";
+import { recordAudit } from "../lib/audit.js";
+import { CLOSED_ORDER_STATUSES } from "../config/orderStatus.js";
+
+/**
+ * Reject a supervisor that is not an active user
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectInvalidSupervisor = async (res, supervisorId) => {
+  if (!supervisorId) return false;
+
+  const [supervisor] = await User.findActive({ ids: [supervisorId] });
+  if (supervisor) return false;
+
+  res.status(400).json({
+    success: false,
+    message: "Supervisor must be an active user",
+  });
+  return true;
+};
+
+/**
+ * Load a team the caller may view, or respond with 404/403
+ * @returns {Promise<Object|null>}
+ */
+const loadViewableTeam = async (req, res) => {
+  const team = await Team.findById(req.params.id);
+
+  if (!team) {
+    res.status(404).json({
+      success: false,
+      message: "Team not found",
+    });
+    return null;
+  }
+
+  if (!canViewTeam(req.user, team)) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+    return null;
+  }
+
+  return team;
+};
+
+/**
+ * List all teams (Admin only)
+ */
+const getTeams = async (req, res) => {
+  try {
+    const teams = await Team.findAll();
+
+    res.json({
+      success: true,
+      data: teams.map(({ _count, ...team }) => ({
+        ...team,
+        memberCount: _count.members,
+      })),
+    });
+  } catch (error) {
+    console.error("Get teams error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Teams the caller supervises
+ */
+const getMyTeams = async (req, res) => {
+  try {
+    const teams = await Team.findBySupervisor(req.user.id);
+
+    res.json({
+      success: true,
+      data: teams,
+    });
+  } catch (error) {
+    console.error("Get my teams error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Get a team with its members (Admin or the team's supervisor)
+ */
+const getTeam = async (req, res) => {
+  try {
+    const team = await loadViewableTeam(req, res);
+    if (!team) return;
+
+    res.json({
+      success: true,
+      data: team,
+    });
+  } catch (error) {
+    console.error("Get team error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Create a team (Admin only)
+ */
+const createTeam = async (req, res) => {
+  try {
+    const { name, supervisorId } = req.body;
+
+    if (await rejectInvalidSupervisor(res, supervisorId)) return;
+
+    const team = await Team.create({ name, supervisorId });
+
+    await recordAudit(req, {
+      action: "team.create",
+      entityType: "team",
+      entityId: team.id,
+      after: team,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Team created successfully",
+      data: team,
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        success: false,
+        message: "A team with this name already exists",
+      });
+    }
+
+    console.error("Create team error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Rename a team or change its supervisor (Admin only)
+ */
+const updateTeam = async (req, res) => {
+  try {
+    const { name, supervisorId } = req.body;
+
+    if (name === undefined && supervisorId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "No fields to update",
+      });
+    }
+
+    if (await rejectInvalidSupervisor(res, supervisorId)) return;
+
+    const existing = await Team.findById(req.params.id);
+    const team = existing
+      ? await Team.update(existing.id, { name, supervisorId })
+      : null;
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "team.update",
+      entityType: "team",
+      entityId: team.id,
+      before: { name: existing.name, supervisorId: existing.supervisorId },
+      after: { name: team.name, supervisorId: team.supervisorId },
+    });
+
+    res.json({
+      success: true,
+      message: "Team updated successfully",
+      data: team,
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        success: false,
+        message: "A team with this name already exists",
+      });
+    }
+
+    console.error("Update team error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Delete a team; its members are left without a team (Admin only)
+ */
+const deleteTeam = async (req, res) => {
+  try {
+    const deleted = await Team.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "team.delete",
+      entityType: "team",
+      entityId: deleted.id,
+      before: deleted,
+    });
+
+    res.json({
+      success: true,
+      message: "Team deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete team error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Add users to a team, moving them out of any previous team (Admin only)
+ */
+const addTeamMembers = async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    const moved = await Team.addMembers(team.id, userIds);
+
+    await recordAudit(req, {
+      action: "team.members_add",
+      entityType: "team",
+      entityId: team.id,
+      after: { userIds: userIds.map(Number) },
+    });
+
+    res.json({
+      success: true,
+      message: "Team members added successfully",
+      data: { added: moved },
+    });
+  } catch (error) {
+    console.error("Add team members error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Remove a user from a team (Admin only)
+ */
+const removeTeamMember = async (req, res) => {
+  try {
+    const removed = await Team.removeMember(req.params.id, req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not a member of this team",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "team.member_remove",
+      entityType: "team",
+      entityId: parseInt(req.params.id),
+      before: { userId: parseInt(req.params.userId) },
+    });
+
+    res.json({
+      success: true,
+      message: "Team member removed successfully",
+    });
+  } catch (error) {
+    console.error("Remove team member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Orders by status, open orders and leads per team member
+ * (Admin or the team's supervisor). Optional ?from=&to= on createdAt.
+ */
+const getTeamReport = async (req, res) => {
+  try {
+    const team = await loadViewableTeam(req, res);
+    if (!team) return;
+
+    const { from, to } = req.query;
+    const memberIds = team.members.map((member) => member.id);
+    const { orders, leads } = await Team.getWorkload(memberIds, {
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+    });
+
+    const members = team.members.map((member) => {
+      const ordersByStatus = {};
+      for (const row of orders) {
+        if (row.assignedToId === member.id) {
+          ordersByStatus[row.status] = row._count._all;
+        }
+      }
+
+      const totalOrders = Object.values(ordersByStatus).reduce(
+        (sum, count) => sum + count,
+        0
+      );
+      const closedOrders = CLOSED_ORDER_STATUSES.reduce(
+        (sum, status) => sum + (ordersByStatus[status] || 0),
+        0
+      );
+
+      return {
+        ...member,
+        totalOrders,
+        openOrders: totalOrders - closedOrders,
+        ordersByStatus,
+        leads:
+          leads.find((row) => row.assignedToId === member.id)?._count._all ||
+          0,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        team: { id: team.id, name: team.name, supervisor: team.supervisor },
+        from: from || null,
+        to: to || null,
+        members,
+        totals: {
+          totalOrders: members.reduce((sum, m) => sum + m.totalOrders, 0),
+          openOrders: members.reduce((sum, m) => sum + m.openOrders, 0),
+          leads: members.reduce((sum, m) => sum + m.leads, 0),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get team report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+const teamController = {
+  getTeams,
+  getMyTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addTeamMembers,
+  removeTeamMember,
+  getTeamReport,
+};
+
+export default teamController;
@@ -0,0 +1,212 @@
+import QRCode from "qrcode";
+import { User, TwoFactorBackupCode, Setting } from "../models/index.js";
+import { generateSecret, verifyCode, buildOtpauthUrl } from "../lib/totp.js";
+
+/**
+ * Verify a TOTP code for the current user and mark it used
+ * @returns {Promise<boolean>}
+ */
+const checkCurrentCode = async (user, code) => {
+  const step = verifyCode(user.twoFactorSecret, code, {
+    afterStep: user.twoFactorLastStep ?? -1,
+  });
+  return step !== null && User.markTwoFactorStepUsed(user.id, step);
+};
+
+/**
+ * Get 2FA status for the current user
+ */
+const getStatus = async (req, res) => {
+  try {
+    const user = await User.findAuthById(req.user.id);
+    const [backupCodesRemaining, requireAdminTwoFactor] = await Promise.all([
+      TwoFactorBackupCode.countRemaining(req.user.id),
+      Setting.get("requireAdminTwoFactor"),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        required: user.role === "admin" && requireAdminTwoFactor === true,
+        backupCodesRemaining: user.twoFactorEnabled ? backupCodesRemaining : 0,
+      },
+    });
+  } catch (error) {
+    console.error("Get 2FA status error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Start enrolment: create a secret and return it with a QR code
+ */
+const setup = async (req, res) => {
+  try {
+    const user = await User.findAuthById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateSecret();
+    await User.setPendingTwoFactorSecret(user.id, secret);
+
+    const otpauthUrl = buildOtpauthUrl({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TOTP_ISSUER || "FBS Healthcare",
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({
+      success: true,
+      message:
+        "Scan the QR code with your authenticator app, then verify a code to finish",
+      data: { secret, otpauthUrl, qrCode },
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Finish enrolment by verifying a code; returns backup codes once
+ */
+const verify = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findAuthById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first",
+      });
+    }
+
+    if (!(await checkCurrentCode(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid two-factor authentication code",
+        code: "INVALID_2FA_CODE",
+      });
+    }
+
+    await User.enableTwoFactor(user.id);
+    const backupCodes = await TwoFactorBackupCode.regenerate(user.id);
+
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.",
+      data: { backupCodes },
+    });
+  } catch (error) {
+    console.error("2FA verify error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Replace backup codes (requires a current code)
+ */
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findAuthById(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!(await checkCurrentCode(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid two-factor authentication code",
+        code: "INVALID_2FA_CODE",
+      });
+    }
+
+    const backupCodes = await TwoFactorBackupCode.regenerate(user.id);
+
+    res.json({
+      success: true,
+      message: "Backup codes regenerated",
+      data: { backupCodes },
+    });
+  } catch (error) {
+    console.error("2FA backup codes error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Disable 2FA (requires password and a current code)
+ */
+const disable = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findAuthById(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (
+      user.role === "admin" &&
+      (await Setting.get("requireAdminTwoFactor")) === true
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is mandatory for admins",
+        code: "TWO_FACTOR_REQUIRED",
+      });
+    }
+
+    const isPasswordValid = await User.verifyPassword(password, user.password);
+    if (!isPasswordValid || !(await checkCurrentCode(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: "Password or two-factor authentication code is incorrect",
+      });
+    }
+
+    await User.disableTwoFactor(user.id);
+    await TwoFactorBackupCode.deleteForUser(user.id);
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+const twoFactorController = {
+  getStatus,
+  setup,
+  verify,
+  regenerateBackupCodes,
+  disable,
+};
+export default twoFactorController;
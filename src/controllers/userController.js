@@ -1,19 +1,106 @@
-import { User, LoginSession } from "../models/index.js";
+import {
+  User,
+  LoginSession,
+  LoginSchedule,
+  LoginOverride,
+  LoginAttempt,
+  TwoFactorBackupCode,
+  PasswordResetToken,
+} from "../models/index.js";
+import { getDefaultTimezone } from "../lib/time.js";
+import { checkLoginTime } from "../middleware/auth.js";
+import { parseCsv, toCsv } from "../lib/csv.js";
+import { sendNotification } from "../lib/notifier/index.js";
+import { recordAudit } from "../lib/audit.js";
+import { generateCompliantPassword } from "../config/passwordPolicy.js";
+import { hasPermission } from "../config/permissions.js";
+import {
+  signImpersonationToken,
+  impersonationTokenTtlMinutes,
+} from "../lib/tokens.js";
+import {
+  registerValidation,
+  validateRecord,
+} from "../middleware/validators.js";
+
+// Columns read by CSV import; export adds read-only columns around them
+const IMPORT_COLUMNS = [
+  "name",
+  "email",
+  "phone",
+  "role",
+  "loginStartTime",
+  "loginEndTime",
+  "timezone",
+];
+const REQUIRED_IMPORT_COLUMNS = ["name", "email", "phone"];
+const EXPORT_COLUMNS = [
+  "id",
+  ...IMPORT_COLUMNS,
+  "isActive",
+  "lastLoginAt",
+  "createdAt",
+];
+
+const parseBoolean = (value) =>
+  value !== undefined ? value === "true" : undefined;
+
+/**
+ * Translate list query parameters into User.findAll filters
+ */
+const parseUserFilters = (query) => ({
+  role: query.role,
+  isActive: parseBoolean(query.isActive),
+  search: query.search || undefined,
+  hasActiveSession: parseBoolean(query.hasActiveSession),
+  sortBy: query.sortBy,
+  order: query.order,
+});
+
+/**
+ * Keep users whose login window is (or is not) open right now. Schedules,
+ * holidays and overrides live outside the users table, so this runs per user.
+ */
+const filterByLoginWindow = async (users, withinLoginWindow) => {
+  const now = new Date();
+  const checks = await Promise.all(
+    users.map((user) => checkLoginTime(user, now))
+  );
+
+  return users.filter(
+    (_, index) => checks[index].allowed === withinLoginWindow
+  );
+};
 
 /**
  * Get all users (Admin only)
  */
 const getAllUsers = async (req, res) => {
   try {
-    const { role, isActive, page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
+    const filters = parseUserFilters(req.query);
+    const withinLoginWindow = parseBoolean(req.query.withinLoginWindow);
 
-    const { users, total } = await User.findAll({
-      role,
-      isActive: isActive !== undefined ? isActive === "true" : undefined,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-    });
+    let users;
+    let total;
+
+    if (withinLoginWindow === undefined) {
+      ({ users, total } = await User.findAll({
+        ...filters,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      }));
+    } else {
+      const { users: candidates } = await User.findAll({
+        ...filters,
+        limit: null,
+      });
+      const matching = await filterByLoginWindow(candidates, withinLoginWindow);
+
+      total = matching.length;
+      users = matching.slice(offset, offset + parseInt(limit));
+    }
 
     res.json({
       success: true,
@@ -36,6 +123,215 @@ const getAllUsers = async (req, res) => {
   }
 };
 
+/**
+ * Export users as CSV (Admin only). Accepts the same filters as the list.
+ */
+const exportUsers = async (req, res) => {
+  try {
+    let { users } = await User.findAll({
+      ...parseUserFilters(req.query),
+      limit: null,
+    });
+
+    const withinLoginWindow = parseBoolean(req.query.withinLoginWindow);
+    if (withinLoginWindow !== undefined) {
+      users = await filterByLoginWindow(users, withinLoginWindow);
+    }
+
+    res.attachment("users.csv");
+    res.type("text/csv");
+    res.send(toCsv(EXPORT_COLUMNS, users));
+  } catch (error) {
+    console.error("Export users error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Email an imported user a link to choose their own password
+ */
+const sendAccountInvite = async (user) => {
+  const ttlHours = parseInt(process.env.INVITE_TOKEN_TTL_HOURS) || 72;
+  const { token } = await PasswordResetToken.issue(user.id, {
+    ttlMinutes: ttlHours * 60,
+  });
+
+  const setupUrl = `${
+    process.env.FRONTEND_URL || "http://localhost:5173"
+  }/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendNotification({
+    to: user.email,
+    subject: "Your FBS account is ready",
+    text:
+      `Hi ${user.name},\n\n` +
+      `An account has been created for you. Use this link to choose your password. It expires in ${ttlHours} hours:\n` +
+      `${setupUrl}\n`,
+  });
+};
+
+/**
+ * Import users from CSV (Admin only)
+ *
+ * The request body is the CSV file (Content-Type: text/csv) with a header
+ * row. Every row is checked with the same rules as registration. Valid rows
+ * are created and emailed a set-password link; invalid rows are reported
+ * with their line number. ?dryRun=true only validates.
+ */
+const importUsers = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === "true";
+
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Send the CSV file as the request body with Content-Type: text/csv",
+      });
+    }
+
+    const { headers, records } = parseCsv(req.body);
+
+    const missingColumns = REQUIRED_IMPORT_COLUMNS.filter(
+      (column) => !headers.includes(column)
+    );
+    if (missingColumns.length) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV is missing required columns: ${missingColumns.join(", ")}`,
+      });
+    }
+
+    const maxRows = parseInt(process.env.USER_IMPORT_MAX_ROWS) || 500;
+    if (records.length > maxRows) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV has ${records.length} rows; the limit is ${maxRows}`,
+      });
+    }
+
+    const seenEmails = new Map();
+    const rows = [];
+
+    for (const { line, values } of records) {
+      // Blank cells are treated as missing so optional rules apply
+      const record = {};
+      for (const column of IMPORT_COLUMNS) {
+        const value = values[column]?.trim();
+        if (value) record[column] = value;
+      }
+      record.password = generateCompliantPassword();
+
+      const { values: user, errors } = await validateRecord(
+        registerValidation,
+        record
+      );
+
+      if (!errors.length) {
+        if (seenEmails.has(user.email)) {
+          errors.push({
+            field: "email",
+            message: `Duplicate of line ${seenEmails.get(user.email)}`,
+          });
+        } else if (await User.emailExists(user.email)) {
+          errors.push({
+            field: "email",
+            message: "User with this email already exists",
+          });
+        }
+      }
+      if (!errors.length) seenEmails.set(user.email, line);
+
+      // Report the email as written when the row is invalid
+      const email = errors.length ? record.email || null : user.email;
+      rows.push({ line, email, user, errors });
+    }
+
+    const results = [];
+
+    for (const { line, email, user, errors } of rows) {
+      if (errors.length) {
+        results.push({ line, email, status: "error", errors });
+        continue;
+      }
+
+      if (dryRun) {
+        results.push({ line, email, status: "valid" });
+        continue;
+      }
+
+      try {
+        const created = await User.create({
+          ...user,
+          role: user.role || "employee",
+        });
+
+        let inviteSent = true;
+        await sendAccountInvite(created).catch((error) => {
+          inviteSent = false;
+          console.error("Account invite notification error:", error);
+        });
+
+        results.push({
+          line,
+          email,
+          status: "created",
+          id: created.id,
+          inviteSent,
+        });
+      } catch (error) {
+        if (error.code !== "P2002") throw error;
+
+        results.push({
+          line,
+          email,
+          status: "error",
+          errors: [
+            { field: "email", message: "User with this email already exists" },
+          ],
+        });
+      }
+    }
+
+    const failed = results.filter((row) => row.status === "error").length;
+
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: "user.import",
+        entityType: "user",
+        after: {
+          created: results
+            .filter((row) => row.status === "created")
+            .map((row) => ({ id: row.id, email: row.email })),
+          failed,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? "Import preview (nothing was changed)"
+        : "Import finished",
+      data: {
+        dryRun,
+        total: results.length,
+        [dryRun ? "valid" : "created"]: results.length - failed,
+        failed,
+        rows: results,
+      },
+    });
+  } catch (error) {
+    console.error("Import users error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 /**
  * Get user by ID (Admin only)
  */
@@ -71,8 +367,15 @@ const getUserById = async (req, res) => {
 const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, phone, role, loginStartTime, loginEndTime, isActive } =
-      req.body;
+    const {
+      name,
+      phone,
+      role,
+      loginStartTime,
+      loginEndTime,
+      timezone,
+      isActive,
+    } = req.body;
 
     // Check if user exists
     const existingUser = await User.findById(id);
@@ -92,6 +395,7 @@ const updateUser = async (req, res) => {
     if (loginStartTime !== undefined)
       updates.loginStartTime = loginStartTime || null;
     if (loginEndTime !== undefined) updates.loginEndTime = loginEndTime || null;
+    if (timezone !== undefined) updates.timezone = timezone || null;
     if (isActive !== undefined) updates.isActive = isActive;
 
     if (Object.keys(updates).length === 0) {
@@ -103,6 +407,22 @@ const updateUser = async (req, res) => {
 
     const user = await User.update(id, updates);
 
+    // Deactivated users lose access immediately
+    if (updates.isActive === false) {
+      await LoginSession.invalidateAllSessions(id);
+    }
+
+    await recordAudit(req, {
+      action:
+        updates.role !== undefined && updates.role !== existingUser.role
+          ? "user.role_change"
+          : "user.update",
+      entityType: "user",
+      entityId: user.id,
+      before: existingUser,
+      after: user,
+    });
+
     res.json({
       success: true,
       message: "User updated successfully",
@@ -118,13 +438,16 @@ const updateUser = async (req, res) => {
 };
 
 /**
- * Delete user (Admin only)
+ * Deactivate user (Admin only)
+ *
+ * Users are never hard-deleted: orders, leads and login history keep
+ * pointing at them. Users with open work must go through offboarding.
  */
 const deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Prevent admin from deleting themselves
+    // Prevent admin from deactivating themselves
     if (parseInt(id) === req.user.id) {
       return res.status(400).json({
         success: false,
@@ -132,19 +455,44 @@ const deleteUser = async (req, res) => {
       });
     }
 
-    const deletedUser = await User.delete(id);
+    const user = await User.findById(id);
 
-    if (!deletedUser) {
+    if (!user) {
       return res.status(404).json({
         success: false,
         message: "User not found",
       });
     }
 
+    const { orders, leads } = await User.getOpenAssignments(id);
+
+    if (orders.length || leads.length) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "User still has open orders or leads. Use POST /api/users/:id/offboard to reassign them.",
+        data: { openOrders: orders.length, openLeads: leads.length },
+      });
+    }
+
+    const result = await User.offboard(id);
+
+    await recordAudit(req, {
+      action: "user.deactivate",
+      entityType: "user",
+      entityId: user.id,
+      before: { isActive: user.isActive },
+      after: { isActive: false, revokedSessions: result.revokedSessions },
+    });
+
     res.json({
       success: true,
-      message: "User deleted successfully",
-      data: deletedUser,
+      message: "User deactivated successfully",
+      data: {
+        id: user.id,
+        email: user.email,
+        revokedSessions: result.revokedSessions,
+      },
     });
   } catch (error) {
     console.error("Delete user error:", error);
@@ -155,6 +503,162 @@ const deleteUser = async (req, res) => {
   }
 };
 
+/**
+ * Spread items round-robin across the receiving users
+ * @param {Object[]} items - Orders or leads to move
+ * @param {Object[]} targets - Receiving users
+ * @param {number} start - Index of the first target to use
+ */
+const planReassignment = (items, targets, start = 0) =>
+  items.map((item, index) => ({
+    ...item,
+    assignedTo: targets[(start + index) % targets.length],
+  }));
+
+/**
+ * Offboard a user (Admin only)
+ *
+ * Deactivates the user, revokes their sessions and reassigns their open
+ * orders and leads to one user (reassignToId) or round-robin across several
+ * (spreadAmong: [ids] or spreadRole: role). With dryRun the plan is returned
+ * without changing anything.
+ */
+const offboardUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reassignToId, spreadAmong, spreadRole, dryRun = false } = req.body;
+
+    if (parseInt(id) === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot offboard your own account",
+      });
+    }
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    let targets = [];
+    if (reassignToId !== undefined || spreadAmong) {
+      const ids = spreadAmong || [reassignToId];
+      targets = await User.findActive({ ids, excludeId: id });
+
+      if (targets.length !== new Set(ids.map(Number)).size) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Reassignment targets must be active users other than the one being offboarded",
+        });
+      }
+    } else if (spreadRole) {
+      targets = await User.findActive({ role: spreadRole, excludeId: id });
+
+      if (!targets.length) {
+        return res.status(400).json({
+          success: false,
+          message: `No active ${spreadRole} users to reassign to`,
+        });
+      }
+    }
+
+    const { orders, leads } = await User.getOpenAssignments(id);
+    const hasOpenWork = orders.length > 0 || leads.length > 0;
+
+    if (hasOpenWork && !targets.length && !dryRun) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "User has open orders or leads. Provide reassignToId, spreadAmong or spreadRole.",
+        data: { openOrders: orders.length, openLeads: leads.length },
+      });
+    }
+
+    const plannedOrders = targets.length
+      ? planReassignment(orders, targets)
+      : orders.map((order) => ({ ...order, assignedTo: null }));
+    const plannedLeads = targets.length
+      ? planReassignment(leads, targets, orders.length)
+      : leads.map((lead) => ({ ...lead, assignedTo: null }));
+
+    const summary = targets.map((target) => ({
+      ...target,
+      orders: plannedOrders.filter((o) => o.assignedTo?.id === target.id)
+        .length,
+      leads: plannedLeads.filter((l) => l.assignedTo?.id === target.id).length,
+    }));
+
+    const plan = {
+      user: { id: user.id, name: user.name, email: user.email },
+      orders: plannedOrders,
+      leads: plannedLeads,
+      summary,
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: "Offboarding preview (nothing was changed)",
+        data: { dryRun: true, ...plan },
+      });
+    }
+
+    const result = await User.offboard(id, {
+      orders: plannedOrders.map((order) => ({
+        id: order.id,
+        status: order.status,
+        assignedToId: order.assignedTo.id,
+      })),
+      leads: plannedLeads.map((lead) => ({
+        id: lead.id,
+        assignedToId: lead.assignedTo.id,
+      })),
+    });
+
+    await recordAudit(req, {
+      action: "user.offboard",
+      entityType: "user",
+      entityId: user.id,
+      before: { isActive: user.isActive },
+      after: {
+        isActive: false,
+        revokedSessions: result.revokedSessions,
+        orders: plannedOrders.map((order) => ({
+          id: order.id,
+          assignedToId: order.assignedTo.id,
+        })),
+        leads: plannedLeads.map((lead) => ({
+          id: lead.id,
+          assignedToId: lead.assignedTo.id,
+        })),
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "User offboarded successfully",
+      data: {
+        dryRun: false,
+        ...plan,
+        revokedSessions: result.revokedSessions,
+        movedOrders: result.orders,
+        movedLeads: result.leads,
+      },
+    });
+  } catch (error) {
+    console.error("Offboard user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 /**
  * Get user login history (Admin only)
  */
@@ -200,6 +704,48 @@ const getUserLoginHistory = async (req, res) => {
   }
 };
 
+/**
+ * Force-logout every session of a user (Admin only)
+ */
+const revokeUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Keep the caller's own session when an admin logs themselves out elsewhere
+    const revoked = await LoginSession.invalidateAllSessions(id, {
+      exceptSessionId: user.id === req.user.id ? req.sessionId : undefined,
+    });
+
+    await recordAudit(req, {
+      action: "user.sessions_revoke",
+      entityType: "user",
+      entityId: user.id,
+      after: { revokedSessions: revoked },
+    });
+
+    res.json({
+      success: true,
+      message: "User sessions revoked successfully",
+      data: { revokedSessions: revoked },
+    });
+  } catch (error) {
+    console.error("Revoke user sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 /**
  * Reset user password (Admin only)
  */
@@ -208,14 +754,68 @@ const resetUserPassword = async (req, res) => {
     const { id } = req.params;
     const { newPassword } = req.body;
 
-    if (!newPassword || newPassword.length < 6) {
+    // Check if user exists
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (await User.isPasswordReused(id, newPassword)) {
       return res.status(400).json({
         success: false,
-        message: "New password must be at least 6 characters long",
+        message: "New password must differ from the user's recent passwords",
+        code: "PASSWORD_REUSED",
+      });
+    }
+
+    // The user must choose their own password at next login
+    await User.updatePassword(id, newPassword, { mustChangePassword: true });
+    await LoginSession.invalidateAllSessions(id);
+
+    await recordAudit(req, {
+      action: "user.password_reset",
+      entityType: "user",
+      entityId: user.id,
+      before: { mustChangePassword: user.mustChangePassword },
+      after: { mustChangePassword: true },
+    });
+
+    res.json({
+      success: true,
+      message: "Password reset successfully",
+    });
+  } catch (error) {
+    console.error("Reset user password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Issue a short-lived token to act as another user (Admin only)
+ *
+ * The token is bound to the admin's own session and cannot be refreshed or
+ * used for the target's credentials, 2FA or sessions. Starting
+ * impersonation and every request made with the token are audited.
+ */
+const impersonateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (parseInt(id) === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot impersonate yourself",
       });
     }
 
-    // Check if user exists
     const user = await User.findById(id);
 
     if (!user) {
@@ -225,14 +825,47 @@ const resetUserPassword = async (req, res) => {
       });
     }
 
-    await User.updatePassword(id, newPassword);
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot impersonate a deactivated user",
+      });
+    }
+
+    if (hasPermission(user.role, "users:manage")) {
+      return res.status(403).json({
+        success: false,
+        message: "Admins cannot be impersonated",
+      });
+    }
+
+    const ttlMinutes = impersonationTokenTtlMinutes();
+    const token = signImpersonationToken(req.user, req.sessionId, user);
+
+    await recordAudit(req, {
+      action: "user.impersonation_start",
+      entityType: "user",
+      entityId: user.id,
+      after: { reason, sessionId: req.sessionId, ttlMinutes },
+    });
 
     res.json({
       success: true,
-      message: "Password reset successfully",
+      message: `Impersonating ${user.name}. The token expires in ${ttlMinutes} minutes.`,
+      data: {
+        token,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+        impersonating: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        },
+        impersonator: { id: req.user.id, name: req.user.name },
+      },
     });
   } catch (error) {
-    console.error("Reset user password error:", error);
+    console.error("Impersonate user error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -277,14 +910,325 @@ const getUserLoginStats = async (req, res) => {
   }
 };
 
+/**
+ * Get a user's login schedule and upcoming overrides (Admin only)
+ */
+const getUserSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const [weekly, overrides] = await Promise.all([
+      LoginSchedule.findByUserId(id),
+      LoginOverride.findUpcoming(id),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        timezone: user.timezone,
+        effectiveTimezone: user.timezone || getDefaultTimezone(),
+        // Used on every day when no weekly schedule is set
+        loginStartTime: user.loginStartTime,
+        loginEndTime: user.loginEndTime,
+        weekly,
+        overrides,
+      },
+    });
+  } catch (error) {
+    console.error("Get user schedule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Schedule rows without ids, which change on every replace
+const scheduleDays = (rows) =>
+  rows.map(({ weekday, startTime, endTime }) => ({
+    weekday,
+    startTime,
+    endTime,
+  }));
+
+/**
+ * Replace a user's weekly login schedule (Admin only)
+ */
+const updateUserSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { timezone, days } = req.body;
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (timezone !== undefined) {
+      await User.update(id, { timezone: timezone || null });
+    }
+
+    const previous = await LoginSchedule.findByUserId(id);
+    const weekly = await LoginSchedule.replaceForUser(id, days);
+
+    await recordAudit(req, {
+      action: "user.schedule_update",
+      entityType: "user",
+      entityId: user.id,
+      before: { timezone: user.timezone, weekly: scheduleDays(previous) },
+      after: {
+        timezone: timezone !== undefined ? timezone || null : user.timezone,
+        weekly: scheduleDays(weekly),
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "Login schedule updated successfully",
+      data: {
+        timezone: timezone !== undefined ? timezone || null : user.timezone,
+        weekly,
+      },
+    });
+  } catch (error) {
+    console.error("Update user schedule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Grant a temporary login override, e.g. overtime tonight (Admin only)
+ */
+const createLoginOverride = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startsAt, endsAt, reason } = req.body;
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const override = await LoginOverride.create({
+      userId: id,
+      startsAt: startsAt ? new Date(startsAt) : new Date(),
+      endsAt: new Date(endsAt),
+      reason,
+      grantedById: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: "user.login_override_grant",
+      entityType: "user",
+      entityId: user.id,
+      after: override,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Login override granted",
+      data: override,
+    });
+  } catch (error) {
+    console.error("Create login override error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Revoke a login override (Admin only)
+ */
+const deleteLoginOverride = async (req, res) => {
+  try {
+    const { id, overrideId } = req.params;
+
+    const deleted = await LoginOverride.delete(id, overrideId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Login override not found",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "user.login_override_revoke",
+      entityType: "user",
+      entityId: parseInt(id),
+      after: { overrideId: parseInt(overrideId) },
+    });
+
+    res.json({
+      success: true,
+      message: "Login override revoked",
+    });
+  } catch (error) {
+    console.error("Delete login override error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Get lockout state and recent login attempts for a user (Admin only)
+ */
+const getUserLockout = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lockout = await User.getLockout(id);
+
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const recentAttempts = await LoginAttempt.findByUserId(id, { limit: 20 });
+
+    res.json({
+      success: true,
+      data: {
+        isLocked: !!lockout.lockedUntil && lockout.lockedUntil > new Date(),
+        lockedUntil: lockout.lockedUntil,
+        failedLoginCount: lockout.failedLoginCount,
+        lastFailedLoginAt: lockout.lastFailedLoginAt,
+        recentAttempts,
+      },
+    });
+  } catch (error) {
+    console.error("Get user lockout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Clear a user's lockout and failed login counter (Admin only)
+ */
+const clearUserLockout = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await User.clearLockout(id);
+
+    await recordAudit(req, {
+      action: "user.lockout_clear",
+      entityType: "user",
+      entityId: user.id,
+    });
+
+    res.json({
+      success: true,
+      message: "Lockout cleared successfully",
+    });
+  } catch (error) {
+    console.error("Clear user lockout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Reset a user's two-factor authentication, e.g. lost phone (Admin only)
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await User.disableTwoFactor(id);
+    await TwoFactorBackupCode.deleteForUser(id);
+    await LoginSession.invalidateAllSessions(id);
+
+    await recordAudit(req, {
+      action: "user.2fa_reset",
+      entityType: "user",
+      entityId: user.id,
+      before: { twoFactorEnabled: user.twoFactorEnabled },
+      after: { twoFactorEnabled: false },
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication reset. The user must enrol again.",
+    });
+  } catch (error) {
+    console.error("Reset user 2FA error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 const userController = {
   getAllUsers,
+  exportUsers,
+  importUsers,
   getUserById,
   updateUser,
   deleteUser,
+  offboardUser,
   getUserLoginHistory,
+  revokeUserSessions,
   resetUserPassword,
+  impersonateUser,
   getUserLoginStats,
+  getUserSchedule,
+  updateUserSchedule,
+  createLoginOverride,
+  deleteLoginOverride,
+  getUserLockout,
+  clearUserLockout,
+  resetUserTwoFactor,
 };
 
 export default userController
\ No newline at end of file
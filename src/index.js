@@ -5,6 +5,7 @@ import cors from 'cors';
 import helmet from 'helmet';
 import routes from './routes/index.js';
 import { initializeDatabase } from './config/init-db.js';
+import { startSessionSweeper } from './jobs/sessionSweeper.js';
 
 import { fileURLToPath } from 'url';
 
@@ -52,6 +53,12 @@ app.get('/', (req, res) => {
       users: '/api/users',
       orders: '/api/orders',
       leads: '/api/leads',
+      holidays: '/api/holidays',
+      settings: '/api/settings',
+      sessions: '/api/sessions',
+      securityEvents: '/api/security-events',
+      teams: '/api/teams',
+      audit: '/api/audit',
     },
   });
 });
@@ -80,6 +87,9 @@ const startServer = async () => {
   try {
     // Initialize database tables
     await initializeDatabase();
+
+    // Close idle sessions and sessions past the user's login window
+    startSessionSweeper();
     
     app.listen(PORT, () => {
       console.log(`\n🚀 Server running on http://localhost:${PORT}`);
@@ -0,0 +1,67 @@
+import { User, LoginSession } from "../models/index.js";
+import { checkAccountAccess, getEndReason } from "../middleware/auth.js";
+import { getSessionConfig } from "../config/security.js";
+
+/**
+ * Session sweeper
+ *
+ * Sessions are otherwise only checked when a request arrives, so a closed
+ * browser would leave its session open forever. The sweep closes sessions
+ * that went idle and those of users whose login window has ended or whose
+ * account was deactivated.
+ */
+
+/**
+ * Run one sweep
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{idle: number, windowEnded: number, revoked: number}>}
+ */
+const sweepSessions = async (now = new Date()) => {
+  const result = { idle: 0, windowEnded: 0, revoked: 0 };
+
+  result.idle = await LoginSession.closeIdleSessions(now);
+
+  const users = await User.findWithActiveSessions();
+  for (const user of users) {
+    const denial = await checkAccountAccess(user);
+    if (!denial) continue;
+
+    const reason = getEndReason(denial);
+    const closed = await LoginSession.invalidateAllSessions(user.id, {
+      reason,
+    });
+
+    if (reason === "window_ended") result.windowEnded += closed;
+    else result.revoked += closed;
+  }
+
+  return result;
+};
+
+/**
+ * Run the sweep every SESSION_SWEEP_INTERVAL_MINUTES
+ * @returns {NodeJS.Timeout|null} Timer, or null when disabled
+ */
+const startSessionSweeper = () => {
+  const { sweepIntervalMinutes } = getSessionConfig();
+  if (!sweepIntervalMinutes) return null;
+
+  const timer = setInterval(async () => {
+    try {
+      const { idle, windowEnded, revoked } = await sweepSessions();
+      if (idle || windowEnded || revoked) {
+        console.log(
+          `Session sweep closed ${idle} idle, ${windowEnded} window-ended, ${revoked} revoked session(s)`
+        );
+      }
+    } catch (error) {
+      console.error("Session sweep error:", error);
+    }
+  }, sweepIntervalMinutes * 60 * 1000);
+
+  // Do not keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
+
+export { sweepSessions, startSessionSweeper };
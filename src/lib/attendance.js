@@ -0,0 +1,181 @@
+import {
+  WEEKDAY_NAMES,
+  getDefaultTimezone,
+  normalizeTime,
+  getZonedParts,
+} from "./time.js";
+
+/**
+ * Attendance helpers
+ *
+ * Turns login sessions into one row per user per calendar day in the user's
+ * timezone. A session counts towards the day it started on, even if it runs
+ * past midnight.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * List every YYYY-MM-DD date from `from` to `to`, inclusive
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]}
+ */
+const eachDate = (from, to) => {
+  const dates = [];
+  const end = Date.parse(`${to}T00:00:00Z`);
+
+  let day = Date.parse(`${from}T00:00:00Z`);
+
+  for (; day <= end; day += MS_PER_DAY) {
+    dates.push(new Date(day).toISOString().slice(0, 10));
+  }
+
+  return dates;
+};
+
+/**
+ * Instants safely covering a local date range in any timezone
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {{start: Date, end: Date}}
+ */
+const getQueryBounds = (from, to) => ({
+  start: new Date(Date.parse(`${from}T00:00:00Z`) - MS_PER_DAY),
+  end: new Date(Date.parse(`${to}T00:00:00Z`) + 2 * MS_PER_DAY),
+});
+
+const toMinutes = (time) => {
+  const [hours, minutes, seconds] = time.split(":").map(Number);
+  return hours * 60 + minutes + seconds / 60;
+};
+
+/**
+ * Build the daily attendance of one user
+ * @param {Object} options
+ * @param {Object} options.user - User with loginStartTime, loginEndTime,
+ *   timezone and createdAt
+ * @param {Object[]} options.sessions - The user's LoginSession rows around the range
+ * @param {Object[]} options.schedules - The user's weekly LoginSchedule rows
+ * @param {Map<string, string>} options.holidays - YYYY-MM-DD -> holiday name
+ * @param {string[]} options.dates - Dates to report, from eachDate(); those
+ *   before the user was created are left out
+ * @param {number} [options.graceMinutes] - Minutes after the start that are not late
+ * @param {Date} [options.now] - Open sessions are counted up to this instant
+ * @returns {{timezone: string, summary: Object, days: Object[]}}
+ */
+const buildAttendance = ({
+  user,
+  sessions,
+  schedules,
+  holidays,
+  dates,
+  graceMinutes = 0,
+  now = new Date(),
+}) => {
+  const timezone = user.timezone || getDefaultTimezone();
+
+  // Same fallback as the login check: legacy window applies every day
+  let weekly = schedules;
+  if (!weekly.length && user.loginStartTime && user.loginEndTime) {
+    weekly = WEEKDAY_NAMES.map((_, weekday) => ({
+      weekday,
+      startTime: user.loginStartTime,
+      endTime: user.loginEndTime,
+    }));
+  }
+
+  // Scheduled days that have not happened yet are not absences
+  const current = getZonedParts(now, timezone);
+  const isUpcoming = (date, startTime) =>
+    date > current.date ||
+    (date === current.date && current.time < startTime);
+
+  const sessionsByDate = new Map();
+  for (const session of sessions) {
+    const { date } = getZonedParts(session.loginTime, timezone);
+    if (!sessionsByDate.has(date)) sessionsByDate.set(date, []);
+    sessionsByDate.get(date).push(session);
+  }
+
+  // Nobody is absent before their account existed
+  const joined = user.createdAt && getZonedParts(user.createdAt, timezone).date;
+  const userDates = joined ? dates.filter((date) => date >= joined) : dates;
+
+  const days = userDates.map((date) => {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const schedule = weekly.find((s) => s.weekday === weekday);
+    const holiday = holidays.get(date) || null;
+    const daySessions = sessionsByDate.get(date) || [];
+
+    const day = {
+      date,
+      weekday: WEEKDAY_NAMES[weekday],
+      status: null,
+      holiday,
+      scheduledStart: schedule ? normalizeTime(schedule.startTime) : null,
+      firstLogin: null,
+      lastLogout: null,
+      totalMinutes: 0,
+      lateByMinutes: 0,
+      sessions: daySessions.length,
+    };
+
+    if (!daySessions.length) {
+      if (holiday) day.status = "holiday";
+      else if (!schedule) day.status = "off";
+      else if (isUpcoming(date, day.scheduledStart)) day.status = "upcoming";
+      else day.status = "absent";
+      return day;
+    }
+
+    const firstLogin = Math.min(
+      ...daySessions.map((s) => s.loginTime.getTime())
+    );
+    day.firstLogin = getZonedParts(new Date(firstLogin), timezone).time;
+
+    // Still logged in: no last logout yet
+    if (daySessions.every((s) => s.logoutTime)) {
+      const lastLogout = Math.max(
+        ...daySessions.map((s) => s.logoutTime.getTime())
+      );
+      day.lastLogout = getZonedParts(new Date(lastLogout), timezone).time;
+    }
+
+    const totalMs = daySessions.reduce(
+      (sum, s) => sum + ((s.logoutTime || now) - s.loginTime),
+      0
+    );
+    day.totalMinutes = Math.round(totalMs / 60000);
+
+    if (day.scheduledStart && !holiday) {
+      const late = toMinutes(day.firstLogin) - toMinutes(day.scheduledStart);
+      if (late > graceMinutes) day.lateByMinutes = Math.round(late);
+    }
+
+    day.status = day.lateByMinutes > 0 ? "late" : "present";
+    return day;
+  });
+
+  const count = (...statuses) =>
+    days.filter((day) => statuses.includes(day.status)).length;
+
+  return {
+    timezone,
+    summary: {
+      scheduledDays: days.filter(
+        (day) =>
+          day.scheduledStart && !day.holiday && day.status !== "upcoming"
+      ).length,
+      presentDays: count("present", "late"),
+      lateDays: count("late"),
+      absentDays: count("absent"),
+      upcomingDays: count("upcoming"),
+      holidays: count("holiday"),
+      totalMinutes: days.reduce((sum, day) => sum + day.totalMinutes, 0),
+    },
+    days,
+  };
+};
+
+export { eachDate, getQueryBounds, buildAttendance };
@@ -0,0 +1,96 @@
+import { AuditLog } from "../models/index.js";
+
+/**
+ * Audit trail for mutating admin actions
+ *
+ * Controllers call recordAudit() after a change has been made. A failure to
+ * write the entry is logged but never fails the request that made the change.
+ * While an admin is impersonating someone, the admin is recorded as the actor
+ * and the impersonated user alongside.
+ */
+
+// Never copied into the log, even if a caller passes a full row
+const REDACTED_FIELDS = ["password", "newPassword", "twoFactorSecret"];
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ["updatedAt"];
+
+/**
+ * Plain JSON copy of an object without secrets (Dates become ISO strings)
+ * @param {Object|null|undefined} value
+ * @returns {Object|null}
+ */
+const sanitize = (value) => {
+  if (value == null) return null;
+  if (typeof value !== "object") return value;
+
+  const copy = JSON.parse(JSON.stringify(value));
+  for (const field of REDACTED_FIELDS) {
+    if (field in copy) copy[field] = "[redacted]";
+  }
+
+  return copy;
+};
+
+/**
+ * Keep only the fields whose value differs between two snapshots
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {{before: Object|null, after: Object|null}}
+ */
+const diffSnapshots = (before, after) => {
+  if (!before || !after) return { before, after };
+
+  const changedBefore = {};
+  const changedAfter = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(before[field]) === JSON.stringify(after[field])) {
+      continue;
+    }
+
+    changedBefore[field] = before[field] ?? null;
+    changedAfter[field] = after[field] ?? null;
+  }
+
+  return { before: changedBefore, after: changedAfter };
+};
+
+/**
+ * Record an admin action in the audit log. When both snapshots are given
+ * only the changed fields are stored.
+ * @param {Object} req - Express request (actor, IP and user agent)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. "user.update", "order.assign"
+ * @param {string} entry.entityType - e.g. "user", "order"
+ * @param {number|string} [entry.entityId]
+ * @param {Object} [entry.before] - State before the action
+ * @param {Object} [entry.after] - State after the action, or what was done
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (
+  req,
+  { action, entityType, entityId, before, after }
+) => {
+  try {
+    const diff = diffSnapshots(sanitize(before), sanitize(after));
+
+    await AuditLog.record({
+      actorId: req.impersonator?.id ?? req.user?.id,
+      impersonatedUserId: req.impersonator ? req.user.id : null,
+      action,
+      entityType,
+      entityId,
+      before: diff.before,
+      after: diff.after,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers["user-agent"],
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
+
+export { recordAudit, diffSnapshots };
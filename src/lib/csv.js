@@ -0,0 +1,103 @@
+/**
+ * Minimal RFC 4180 CSV helpers
+ *
+ * Handles quoted fields, escaped quotes, embedded newlines, CRLF line endings
+ * and a leading byte order mark, which covers files saved from Excel and
+ * Google Sheets.
+ */
+
+/**
+ * Parse CSV text into records keyed by the header row
+ * @param {string} text - CSV content
+ * @returns {{headers: string[], records: Array<{line: number, values: Object}>}}
+ *   line is the 1-based line the record starts on
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = "";
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  const nonEmpty = rows.filter(({ cells }) => cells.some((c) => c.trim()));
+  if (!nonEmpty.length) return { headers: [], records: [] };
+
+  const [headerRow, ...dataRows] = nonEmpty;
+  const headers = headerRow.cells.map((header) => header.trim());
+
+  const records = dataRows.map(({ line: recordLine, cells }) => ({
+    line: recordLine,
+    values: Object.fromEntries(
+      headers.map((header, index) => [header, cells[index] ?? ""])
+    ),
+  }));
+
+  return { headers, records };
+};
+
+/**
+ * Quote a value for CSV output. Values that a spreadsheet would run as a
+ * formula are prefixed with a single quote.
+ * @param {*} value
+ * @returns {string}
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise rows to CSV
+ * @param {string[]} headers - Column names, also the keys read from each row
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+const toCsv = (headers, rows) =>
+  [
+    headers.map(formatCell).join(","),
+    ...rows.map((row) => headers.map((h) => formatCell(row[h])).join(",")),
+  ].join("\r\n") + "\r\n";
+
+export { parseCsv, toCsv };
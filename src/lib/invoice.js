@@ -0,0 +1,595 @@
+import { Invoice } from "../models/index.js";
+import {
+  toPaise,
+  toAmount,
+  getSellerStateCode,
+  parseGstRate,
+} from "./orderPricing.js";
+import { getDefaultTimezone, getZonedParts } from "./time.js";
+import { renderPdf, PAGE_WIDTH, PAGE_HEIGHT, CHAR_WIDTH } from "./pdf.js";
+
+/**
+ * GST tax invoices and credit notes
+ *
+ * An order is invoiced once. The invoice is stored as issued, with its own
+ * copy of the seller, buyer, lines and totals, and is only ever re-rendered
+ * from that copy. Cancelling an invoiced order or returning it (RTO) issues
+ * a credit note for the full invoice.
+ *
+ * Numbers look like INV/2526/00001: prefix, financial year (April-March)
+ * and a sequence that restarts each financial year, at most 16 characters
+ * as GST requires.
+ */
+
+const DOCUMENTS = {
+  invoice: {
+    title: "TAX INVOICE",
+    prefix: () => process.env.INVOICE_PREFIX || "INV",
+  },
+  credit_note: {
+    title: "CREDIT NOTE",
+    prefix: () => process.env.CREDIT_NOTE_PREFIX || "CN",
+  },
+};
+
+// Numbers are prefix/YYYY/NNNNN, so a prefix of up to 5 characters keeps
+// them within the 16 GST allows
+const MAX_PREFIX_LENGTH = 5;
+const PREFIX_PATTERN = /^[A-Za-z0-9-]+$/;
+
+/**
+ * Number prefix of a document type
+ * @param {"invoice"|"credit_note"} type
+ * @returns {string|null} Null if the configured prefix is too long or has
+ *   characters other than letters, digits and hyphens
+ */
+const getPrefix = (type) => {
+  const prefix = DOCUMENTS[type].prefix();
+  return prefix.length <= MAX_PREFIX_LENGTH && PREFIX_PATTERN.test(prefix)
+    ? prefix
+    : null;
+};
+
+// Statuses an order can be in when it is first invoiced
+const NOT_INVOICEABLE_STATUSES = ["Pending_Verification", "Cancelled", "RTO"];
+
+// Statuses that reverse an invoice with a credit note
+const CREDITED_STATUSES = ["Cancelled", "RTO"];
+
+/**
+ * Seller details printed on every invoice
+ * @returns {{name: string, gstin: string, address: string, stateCode: string}|null}
+ *   Null until SELLER_NAME, SELLER_GSTIN and SELLER_STATE_CODE are set
+ */
+const getSeller = () => {
+  const seller = {
+    name: process.env.SELLER_NAME,
+    gstin: process.env.SELLER_GSTIN?.trim().toUpperCase(),
+    address: process.env.SELLER_ADDRESS || "",
+    stateCode: getSellerStateCode(),
+  };
+
+  return seller.name && seller.gstin && seller.stateCode ? seller : null;
+};
+
+/**
+ * Whether documents can be issued: the seller is set and both number
+ * prefixes are valid and differ, since each type has its own sequence
+ * @returns {boolean}
+ */
+const isInvoicingConfigured = () => {
+  const invoicePrefix = getPrefix("invoice");
+  const creditNotePrefix = getPrefix("credit_note");
+
+  return Boolean(
+    getSeller() &&
+      invoicePrefix &&
+      creditNotePrefix &&
+      invoicePrefix.toUpperCase() !== creditNotePrefix.toUpperCase()
+  );
+};
+
+/**
+ * Financial year a date falls in, as used in invoice numbers
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} e.g. "2526" for April 2025 to March 2026
+ */
+const getFinancialYear = (date) => {
+  const year = Number(date.slice(0, 4));
+  const start = Number(date.slice(5, 7)) >= 4 ? year : year - 1;
+  return `${String(start).slice(2)}${String(start + 1).slice(2)}`;
+};
+
+/**
+ * Split an amount across weights so the parts add up exactly
+ * @param {number} total - Paise
+ * @param {number[]} weights
+ * @returns {number[]} Paise
+ */
+const allocate = (total, weights) => {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  let running = 0;
+  let allocated = 0;
+
+  return weights.map((weight) => {
+    running += weight;
+    const upTo = sum ? Math.round((total * running) / sum) : 0;
+    const share = upTo - allocated;
+    allocated = upTo;
+    return share;
+  });
+};
+
+const getHsnCode = (item) => item.hsnCode || process.env.DEFAULT_HSN_CODE;
+
+// Amounts stored on the order when it was last priced, printed as they are
+const STORED_AMOUNTS = [
+  "subtotal",
+  "taxableAmount",
+  "cgstAmount",
+  "sgstAmount",
+  "igstAmount",
+  "totalAmount",
+  "balanceDue",
+];
+
+/**
+ * The order's stored totals, in the shape priceOrder() returns
+ * @param {Object} order
+ * @returns {Object|null} Null if the order was never priced
+ */
+const getStoredTotals = (order) => {
+  if (STORED_AMOUNTS.some((field) => order[field] == null)) return null;
+
+  const amount = (value) => toAmount(toPaise(value));
+
+  return {
+    subtotal: amount(order.subtotal),
+    discount: amount(order.discount),
+    taxableAmount: amount(order.taxableAmount),
+    cgstAmount: amount(order.cgstAmount),
+    sgstAmount: amount(order.sgstAmount),
+    igstAmount: amount(order.igstAmount),
+    courierCharges: amount(order.courierCharges),
+    totalAmount: amount(order.totalAmount),
+    advance: amount(order.advance),
+    balanceDue: amount(order.balanceDue),
+  };
+};
+
+/**
+ * Why an order cannot be invoiced yet
+ * @param {Object} order - Order with items
+ * @returns {{code: string, message: string, errors?: Object[]}|null}
+ *   Null when it can be invoiced
+ */
+const getInvoiceBlocker = (order) => {
+  if (NOT_INVOICEABLE_STATUSES.includes(order.status)) {
+    return {
+      code: "NOT_INVOICEABLE",
+      message: `Orders in ${order.status} cannot be invoiced`,
+    };
+  }
+
+  if (order.pricingMismatch) {
+    return {
+      code: "PRICING_MISMATCH",
+      message:
+        "The order's total disagrees with its computed pricing. Edit the order to reprice it first.",
+    };
+  }
+
+  if (!getStoredTotals(order)) {
+    return {
+      code: "NOT_PRICED",
+      message:
+        "The order has no stored pricing. Edit the order to reprice it first.",
+    };
+  }
+
+  const missingHsn = order.items
+    .filter((item) => !getHsnCode(item))
+    .map((item) => ({
+      field: "hsnCode",
+      message: `No HSN code for ${item.productName}`,
+    }));
+
+  if (missingHsn.length) {
+    return {
+      code: "HSN_REQUIRED",
+      message: "Every item needs an HSN code to be invoiced",
+      errors: missingHsn,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Build the stored copy of an order's tax invoice, from the amounts stored
+ * on the order so it matches what the customer was charged
+ * @param {Object} order - Priced order with items
+ * @param {Object} options
+ * @param {string} options.invoiceNumber
+ * @param {Date} options.issuedAt
+ * @param {Object} options.seller - See getSeller
+ * @returns {Object}
+ */
+const buildInvoiceData = (order, { invoiceNumber, issuedAt, seller }) => {
+  const totals = getStoredTotals(order);
+  // The stored split decides; only an untaxed order falls back to the states
+  const localTax = toPaise(totals.cgstAmount) + toPaise(totals.sgstAmount);
+  const intraState =
+    localTax || toPaise(totals.igstAmount)
+      ? localTax > 0
+      : String(order.stateCode || "").trim().toUpperCase() === seller.stateCode;
+  const weights = order.items.map(
+    (item) => toPaise(item.price) * Number(item.quantity)
+  );
+  const split = (amount) => allocate(toPaise(amount), weights);
+
+  const taxable = split(totals.taxableAmount);
+  const cgst = split(totals.cgstAmount);
+  const sgst = split(totals.sgstAmount);
+  const igst = split(totals.igstAmount);
+
+  return {
+    type: "invoice",
+    invoiceNumber,
+    issuedAt: issuedAt.toISOString(),
+    date: getZonedParts(issuedAt, getDefaultTimezone()).date,
+    seller,
+    buyer: {
+      name: order.customerName,
+      phone: order.customerPhone,
+      address: order.shippingAddress,
+      stateCode: order.stateCode?.trim().toUpperCase() || null,
+    },
+    order: { id: order.id, orderNumber: order.orderNumber },
+    supplyType: intraState ? "intra_state" : "inter_state",
+    withGST: order.withGST || null,
+    gstRate: order.withGST ? String(parseGstRate(order.gstRate)) : null,
+    lines: order.items.map((item, index) => ({
+      description: item.productName,
+      hsnCode: getHsnCode(item),
+      quantity: Number(item.quantity),
+      unitPrice: toAmount(toPaise(item.price)),
+      taxableValue: toAmount(taxable[index]),
+      cgstAmount: toAmount(cgst[index]),
+      sgstAmount: toAmount(sgst[index]),
+      igstAmount: toAmount(igst[index]),
+      amount: toAmount(
+        taxable[index] + cgst[index] + sgst[index] + igst[index]
+      ),
+    })),
+    totals,
+  };
+};
+
+/**
+ * Build the stored copy of a credit note reversing an invoice in full
+ * @param {Object} invoice - Stored invoice
+ * @param {Object} options
+ * @param {string} options.invoiceNumber - Credit note number
+ * @param {Date} options.issuedAt
+ * @param {string} options.reason
+ * @returns {Object}
+ */
+const buildCreditNoteData = (invoice, { invoiceNumber, issuedAt, reason }) => {
+  const { advance, balanceDue, ...totals } = invoice.data.totals;
+
+  return {
+    ...invoice.data,
+    type: "credit_note",
+    invoiceNumber,
+    issuedAt: issuedAt.toISOString(),
+    date: getZonedParts(issuedAt, getDefaultTimezone()).date,
+    originalInvoice: {
+      invoiceNumber: invoice.invoiceNumber,
+      date: invoice.data.date,
+    },
+    reason,
+    totals,
+  };
+};
+
+/**
+ * Issue a document, numbered from its financial year's sequence
+ * @param {number} orderId
+ * @param {"invoice"|"credit_note"} type
+ * @param {(options: {invoiceNumber: string, issuedAt: Date}) => Object} build
+ * @param {Object} [options] - issuedById and reason, see Invoice.issue
+ * @returns {Promise<Invoice>} The existing one if it was issued meanwhile
+ */
+const issueDocument = async (orderId, type, build, options = {}) => {
+  if (!isInvoicingConfigured()) {
+    throw new Error("Invoicing is not configured");
+  }
+
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(
+    getZonedParts(issuedAt, getDefaultTimezone()).date
+  );
+  const prefix = getPrefix(type);
+
+  const issued = await Invoice.issue({
+    orderId,
+    type,
+    sequenceKey: `${type}:${financialYear}`,
+    formatNumber: (sequence) =>
+      `${prefix}/${financialYear}/${String(sequence).padStart(5, "0")}`,
+    build: (invoiceNumber) => build({ invoiceNumber, issuedAt }),
+    ...options,
+  });
+
+  return issued || Invoice.findByOrder(orderId, type);
+};
+
+/**
+ * Issue an order's tax invoice. Check isInvoicingConfigured() and
+ * getInvoiceBlocker() first.
+ * @param {Object} order - Order with items
+ * @param {number} issuedById
+ * @returns {Promise<Invoice>}
+ */
+const issueInvoice = (order, issuedById) =>
+  issueDocument(
+    order.id,
+    "invoice",
+    (options) => buildInvoiceData(order, { ...options, seller: getSeller() }),
+    { issuedById }
+  );
+
+/**
+ * Issue the credit note for an invoiced order that was cancelled or
+ * returned, unless it already has one
+ * @param {Object} order - Order in its new status
+ * @param {Object} [options]
+ * @param {number} [options.issuedById]
+ * @param {string} [options.note] - Why the order was cancelled or returned
+ * @returns {Promise<Invoice|null>} Null if there is nothing to credit
+ */
+const issueCreditNote = async (order, { issuedById, note } = {}) => {
+  if (!CREDITED_STATUSES.includes(order.status)) return null;
+
+  const [invoice, existing] = await Promise.all([
+    Invoice.findByOrder(order.id, "invoice"),
+    Invoice.findByOrder(order.id, "credit_note"),
+  ]);
+  if (!invoice || existing) return existing;
+
+  const reason = [
+    order.status === "RTO" ? "Returned to origin" : "Cancelled",
+    note,
+  ]
+    .filter(Boolean)
+    .join(": ")
+    .slice(0, 255);
+
+  return issueDocument(
+    order.id,
+    "credit_note",
+    (options) => buildCreditNoteData(invoice, { ...options, reason }),
+    { issuedById, reason }
+  );
+};
+
+// ---------------------------------------------------------------------------
+// PDF layout: one 8pt monospaced grid, so columns line up by character count
+// ---------------------------------------------------------------------------
+
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 11;
+const MARGIN = 36;
+const COLUMNS = Math.floor(
+  (PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * CHAR_WIDTH)
+);
+
+const left = (text, width) => String(text ?? "").slice(0, width).padEnd(width);
+const right = (text, width) =>
+  String(text ?? "").slice(0, width).padStart(width);
+
+// Break text into lines of at most `width` characters, on spaces where
+// possible
+const wrap = (text, width) =>
+  String(text || "")
+    .split(/\r?\n/)
+    .flatMap((paragraph) => {
+      const lines = [];
+      let line = "";
+
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        if (line && line.length + word.length + 1 > width) {
+          lines.push(line);
+          line = "";
+        }
+        line = line ? `${line} ${word}` : word;
+        while (line.length > width) {
+          lines.push(line.slice(0, width));
+          line = line.slice(width);
+        }
+      }
+
+      return line ? [...lines, line] : lines;
+    });
+
+const tableColumns = (intraState) => [
+  { key: "index", title: "#", width: 3 },
+  { key: "description", title: "Description", width: intraState ? 26 : 36 },
+  { key: "hsnCode", title: "HSN", width: 8 },
+  { key: "quantity", title: "Qty", width: 5, align: "right" },
+  { key: "unitPrice", title: "Rate", width: 10, align: "right" },
+  { key: "taxableValue", title: "Taxable", width: 11, align: "right" },
+  ...(intraState
+    ? [
+        { key: "cgstAmount", title: "CGST", width: 9, align: "right" },
+        { key: "sgstAmount", title: "SGST", width: 9, align: "right" },
+      ]
+    : [{ key: "igstAmount", title: "IGST", width: 9, align: "right" }]),
+  { key: "amount", title: "Amount", width: 11, align: "right" },
+];
+
+const tableRow = (columns, values) =>
+  columns
+    .map((column) =>
+      column.align === "right"
+        ? right(values[column.key], column.width)
+        : left(values[column.key], column.width)
+    )
+    .join(" ");
+
+/**
+ * Lay out a stored invoice or credit note as text rows
+ * @param {Object} data - Invoice.data
+ * @returns {Array<{text?: string, bold?: boolean, size?: number, rule?: boolean}>}
+ */
+const layoutInvoice = (data) => {
+  const intraState = data.supplyType === "intra_state";
+  const columns = tableColumns(intraState);
+  const { totals } = data;
+  const rate = Number(data.gstRate || 0);
+  const rows = [];
+  const text = (value, options = {}) => rows.push({ text: value, ...options });
+
+  text(DOCUMENTS[data.type].title, { bold: true, size: 14 });
+  text("");
+  text(data.seller.name, { bold: true });
+  wrap(data.seller.address, COLUMNS).forEach((line) => text(line));
+  text(`GSTIN: ${data.seller.gstin}   State code: ${data.seller.stateCode}`);
+  text("");
+
+  const numberLabel =
+    data.type === "credit_note" ? "Credit note no." : "Invoice no.";
+  text(`${numberLabel}: ${data.invoiceNumber}   Date: ${data.date}`, {
+    bold: true,
+  });
+  text(`Order no.: ${data.order.orderNumber}`);
+  if (data.originalInvoice) {
+    text(
+      `Against invoice: ${data.originalInvoice.invoiceNumber} dated ${data.originalInvoice.date}`
+    );
+    text(`Reason: ${data.reason}`);
+  }
+  text("");
+
+  text("Bill to / Ship to", { bold: true });
+  text(`${data.buyer.name}   Phone: ${data.buyer.phone}`);
+  wrap(data.buyer.address, COLUMNS).forEach((line) => text(line));
+  text(`Place of supply (state code): ${data.buyer.stateCode || "-"}`);
+  text("");
+
+  rows.push({ rule: true });
+  text(
+    tableRow(
+      columns,
+      Object.fromEntries(columns.map((column) => [column.key, column.title]))
+    ),
+    { bold: true }
+  );
+  rows.push({ rule: true });
+
+  data.lines.forEach((line, index) => {
+    const description = wrap(
+      line.description,
+      columns.find((column) => column.key === "description").width
+    );
+    text(
+      tableRow(columns, {
+        ...line,
+        index: index + 1,
+        description: description[0],
+      })
+    );
+    description
+      .slice(1)
+      .forEach((part) => text(tableRow(columns, { description: part })));
+  });
+  rows.push({ rule: true });
+
+  const totalRow = (label, value, options) =>
+    text(`${right(label, COLUMNS - 14)}${right(value, 14)}`, options);
+
+  totalRow("Subtotal", totals.subtotal);
+  if (toPaise(totals.discount)) totalRow("Discount", `-${totals.discount}`);
+  totalRow("Taxable value", totals.taxableAmount);
+  if (data.withGST && intraState) {
+    totalRow(`CGST @ ${rate / 2}%`, totals.cgstAmount);
+    totalRow(`SGST @ ${rate / 2}%`, totals.sgstAmount);
+  } else if (data.withGST) {
+    totalRow(`IGST @ ${rate}%`, totals.igstAmount);
+  }
+  if (toPaise(totals.courierCharges)) {
+    totalRow("Courier charges", totals.courierCharges);
+  }
+  totalRow(
+    data.type === "credit_note" ? "Total credited" : "Total",
+    totals.totalAmount,
+    { bold: true }
+  );
+  if (totals.advance !== undefined && toPaise(totals.advance)) {
+    totalRow("Advance paid", totals.advance);
+    totalRow("Balance due", totals.balanceDue, { bold: true });
+  }
+  text("");
+
+  text("All amounts in INR.");
+  if (data.withGST === "inclusive") {
+    text("Item rates include GST.");
+  }
+  if (!data.withGST) {
+    text("No GST charged on this order.");
+  }
+  text("This is a computer generated document and needs no signature.");
+
+  return rows;
+};
+
+/**
+ * Render a stored invoice or credit note as a PDF
+ * @param {Object} data - Invoice.data
+ * @returns {Buffer}
+ */
+const renderInvoicePdf = (data) => {
+  const pages = [[]];
+  let y = MARGIN;
+
+  for (const row of layoutInvoice(data)) {
+    const height = row.size ? row.size + 6 : LINE_HEIGHT;
+
+    if (y + height > PAGE_HEIGHT - MARGIN) {
+      pages.push([]);
+      y = MARGIN;
+    }
+
+    const page = pages[pages.length - 1];
+    if (row.rule) {
+      page.push({ line: [MARGIN, y + 3, PAGE_WIDTH - MARGIN, y + 3] });
+      y += 4;
+      continue;
+    }
+
+    y += height;
+    page.push({
+      text: row.text,
+      x: MARGIN,
+      y,
+      size: row.size || FONT_SIZE,
+      bold: row.bold,
+    });
+  }
+
+  return renderPdf(pages, { title: data.invoiceNumber });
+};
+
+export {
+  CREDITED_STATUSES,
+  getSeller,
+  isInvoicingConfigured,
+  getFinancialYear,
+  getInvoiceBlocker,
+  buildInvoiceData,
+  buildCreditNoteData,
+  issueInvoice,
+  issueCreditNote,
+  renderInvoicePdf,
+};
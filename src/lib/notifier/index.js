@@ -0,0 +1,69 @@
+import consoleTransport from "./transports/console.js";
+import fileTransport from "./transports/file.js";
+
+/**
+ * Notifier
+ *
+ * Delivers user-facing messages (password resets, alerts) through a
+ * pluggable transport chosen with NOTIFY_TRANSPORT, which is required
+ * outside development. A transport is an object with
+ * `async send({ channel, to, subject, text })` where channel is "email" or
+ * "sms". Register real mail/SMS providers with
+ * `registerTransport("smtp", transport)` at startup.
+ */
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+/**
+ * Register (or replace) a transport
+ * @param {string} name - Name used in NOTIFY_TRANSPORT
+ * @param {{send: Function}} transport
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error(`Transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Transport named by NOTIFY_TRANSPORT. Only development falls back to the
+ * console: it prints reset and invite links, which must not reach
+ * production logs.
+ * @returns {string|null}
+ */
+const getTransportName = () =>
+  process.env.NOTIFY_TRANSPORT ||
+  (process.env.NODE_ENV === "development" ? "console" : null);
+
+/**
+ * Send a message to a user
+ * @param {Object} message
+ * @param {"email"|"sms"} message.channel - Delivery channel
+ * @param {string} message.to - Email address or phone number
+ * @param {string} [message.subject] - Subject (email only)
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<void>}
+ */
+const sendNotification = async ({ channel = "email", to, subject, text }) => {
+  const name = getTransportName();
+
+  if (!name) {
+    throw new Error(
+      "No notification transport configured. Set NOTIFY_TRANSPORT."
+    );
+  }
+
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown notification transport: ${name}`);
+  }
+
+  await transport.send({ channel, to, subject, text });
+};
+
+export { registerTransport, sendNotification };
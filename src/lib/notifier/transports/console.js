@@ -0,0 +1,12 @@
+/**
+ * Console transport - prints messages to stdout (development only)
+ */
+const consoleTransport = {
+  async send({ channel, to, subject, text }) {
+    console.log(
+      `\n📨 [${channel}] to ${to}${subject ? ` - ${subject}` : ""}\n${text}\n`
+    );
+  },
+};
+
+export default consoleTransport;
@@ -0,0 +1,28 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * File transport - appends messages as JSON lines to NOTIFY_FILE_PATH
+ * (default ./notifications.log), handy for local testing
+ */
+const fileTransport = {
+  async send({ channel, to, subject, text }) {
+    const filePath = path.resolve(
+      process.env.NOTIFY_FILE_PATH || "notifications.log"
+    );
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(
+      filePath,
+      JSON.stringify({
+        sentAt: new Date().toISOString(),
+        channel,
+        to,
+        subject: subject || null,
+        text,
+      }) + "\n"
+    );
+  },
+};
+
+export default fileTransport;
@@ -0,0 +1,28 @@
+import { Setting, OrderSequence } from "../models/index.js";
+import { formatOrderNumber, getSequenceKey } from "../config/orderNumber.js";
+import { getDefaultTimezone, getZonedParts } from "./time.js";
+
+/**
+ * Generate the next order number from the orderNumberFormat setting
+ * @param {Object} order - Order being created
+ * @param {string} [order.stateCode]
+ * @param {string} [order.deliveryPartner]
+ * @param {Date} [now]
+ * @returns {Promise<string>}
+ */
+const generateOrderNumber = async (
+  { stateCode, deliveryPartner },
+  now = new Date()
+) => {
+  const format = await Setting.get("orderNumberFormat");
+  const values = {
+    date: getZonedParts(now, getDefaultTimezone()).date,
+    stateCode,
+    deliveryPartner,
+  };
+
+  const sequence = await OrderSequence.next(getSequenceKey(format, values));
+  return formatOrderNumber(format.pattern, { ...values, sequence });
+};
+
+export { generateOrderNumber };
@@ -0,0 +1,178 @@
+/**
+ * Order pricing
+ *
+ * Order totals are computed here from the items rather than trusted from
+ * the client. Amounts are worked in paise so rounding happens once per step:
+ *
+ *   subtotal   = sum of item price x quantity
+ *   gross      = subtotal - discount
+ *   taxable    = gross                         (withGST "exclusive")
+ *              = gross x 100 / (100 + rate)    (withGST "inclusive")
+ *   tax        = CGST + SGST when the order's state is the seller's,
+ *                otherwise IGST; none when withGST is not set
+ *   total      = taxable + tax + courier charges
+ *   balanceDue = total - advance (collected on delivery)
+ */
+
+// Fields that change the computed totals when edited
+const PRICING_FIELDS = [
+  "discount",
+  "advance",
+  "courierCharges",
+  "gstRate",
+  "withGST",
+  "stateCode",
+];
+
+const normalizeStateCode = (value) =>
+  value ? String(value).trim().toUpperCase() || null : null;
+
+/**
+ * Seller's GST state code, compared with each order's stateCode to choose
+ * CGST/SGST or IGST
+ * @returns {string|null}
+ */
+const getSellerStateCode = () =>
+  normalizeStateCode(process.env.SELLER_STATE_CODE);
+
+/**
+ * Parse a GST rate such as "18", "18%" or 5
+ * @param {string|number|null} value
+ * @returns {number|null} Percentage, or null if not a valid rate
+ */
+const parseGstRate = (value) => {
+  if (value === null || value === undefined) return null;
+
+  const match = String(value).trim().match(/^(\d{1,2}(?:\.\d{1,2})?)%?$/);
+  return match ? Number(match[1]) : null;
+};
+
+// Rupee amount (number, string or Decimal) to whole paise, and back
+const toPaise = (value) => Math.round(Number(value || 0) * 100);
+const toAmount = (paise) => (paise / 100).toFixed(2);
+
+/**
+ * Amount left to collect on delivery
+ * @param {number|string} totalAmount
+ * @param {number|string} [advance]
+ * @returns {string}
+ */
+const getBalanceDue = (totalAmount, advance) =>
+  toAmount(toPaise(totalAmount) - toPaise(advance));
+
+/**
+ * Compute an order's totals
+ * @param {Object} order
+ * @param {Array<{price: number|string, quantity: number}>} order.items
+ * @param {number|string} [order.discount]
+ * @param {number|string} [order.advance]
+ * @param {number|string} [order.courierCharges]
+ * @param {"inclusive"|"exclusive"|null} [order.withGST]
+ * @param {string} [order.gstRate]
+ * @param {string} [order.stateCode]
+ * @returns {{pricing: Object|null, errors: Array<{field: string, message: string}>}}
+ *   Amounts in pricing are strings with two decimals
+ */
+const priceOrder = ({
+  items,
+  discount,
+  advance,
+  courierCharges,
+  withGST,
+  gstRate,
+  stateCode,
+}) => {
+  const errors = [];
+
+  if (!items || !items.length) {
+    errors.push({ field: "items", message: "Order has no items to price" });
+  }
+
+  const rate = withGST ? parseGstRate(gstRate) : 0;
+  if (rate === null) {
+    errors.push({
+      field: "gstRate",
+      message: "A valid gstRate is required when withGST is set",
+    });
+  }
+
+  if (errors.length) return { pricing: null, errors };
+
+  const subtotal = items.reduce(
+    (sum, item) => sum + toPaise(item.price) * Number(item.quantity),
+    0
+  );
+  const discountPaise = toPaise(discount);
+
+  if (discountPaise > subtotal) {
+    errors.push({
+      field: "discount",
+      message: `Discount cannot exceed the items subtotal of ${toAmount(subtotal)}`,
+    });
+    return { pricing: null, errors };
+  }
+
+  const gross = subtotal - discountPaise;
+  const taxable =
+    withGST === "inclusive" ? Math.round((gross * 100) / (100 + rate)) : gross;
+  const tax =
+    withGST === "inclusive"
+      ? gross - taxable
+      : Math.round((taxable * rate) / 100);
+
+  const sellerState = getSellerStateCode();
+  const intraState =
+    sellerState !== null && normalizeStateCode(stateCode) === sellerState;
+  const cgst = intraState ? Math.round(tax / 2) : 0;
+  const sgst = intraState ? tax - cgst : 0;
+  const igst = intraState ? 0 : tax;
+
+  const total = taxable + tax + toPaise(courierCharges);
+  const advancePaise = toPaise(advance);
+
+  if (advancePaise > total) {
+    errors.push({
+      field: "advance",
+      message: `Advance cannot exceed the order total of ${toAmount(total)}`,
+    });
+    return { pricing: null, errors };
+  }
+
+  return {
+    pricing: {
+      subtotal: toAmount(subtotal),
+      discount: toAmount(discountPaise),
+      taxableAmount: toAmount(taxable),
+      cgstAmount: toAmount(cgst),
+      sgstAmount: toAmount(sgst),
+      igstAmount: toAmount(igst),
+      courierCharges: toAmount(toPaise(courierCharges)),
+      totalAmount: toAmount(total),
+      advance: toAmount(advancePaise),
+      balanceDue: toAmount(total - advancePaise),
+    },
+    errors,
+  };
+};
+
+/**
+ * Whether a client-supplied total agrees with the computed one to the paisa
+ * @param {number|string|undefined} clientTotal
+ * @param {string} computedTotal
+ * @returns {boolean} True when no client total was sent
+ */
+const matchesClientTotal = (clientTotal, computedTotal) =>
+  clientTotal === undefined ||
+  clientTotal === null ||
+  toPaise(clientTotal) === toPaise(computedTotal);
+
+export {
+  PRICING_FIELDS,
+  toPaise,
+  toAmount,
+  getSellerStateCode,
+  parseGstRate,
+  getBalanceDue,
+  priceOrder,
+  matchesClientTotal,
+};
@@ -0,0 +1,97 @@
+/**
+ * Minimal PDF writer
+ *
+ * Produces A4 pages of text and ruled lines in the built-in Courier fonts,
+ * which every PDF reader ships, so no font files are embedded. Courier is
+ * monospaced: a character is 0.6 x the font size wide, which is what lets
+ * callers line up columns. Text is encoded as WinAnsi (Latin-1); other
+ * characters print as "?".
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const CHAR_WIDTH = 0.6; // Courier glyph width per point of font size
+
+const FONTS = { regular: "F1", bold: "F2" };
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Content stream operators for one page
+ * @param {Array<Object>} items - { text, x, y, size?, bold? } or
+ *   { line: [x1, y1, x2, y2] }; y is measured from the top of the page
+ * @returns {string}
+ */
+const renderPage = (items) =>
+  items
+    .map((item) => {
+      if (item.line) {
+        const [x1, y1, x2, y2] = item.line;
+        return `${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`;
+      }
+
+      const font = item.bold ? FONTS.bold : FONTS.regular;
+      return [
+        "BT",
+        `/${font} ${item.size || 10} Tf`,
+        `${formatNumber(item.x)} ${formatNumber(PAGE_HEIGHT - item.y)} Td`,
+        `(${escapeText(item.text)}) Tj`,
+        "ET",
+      ].join(" ");
+    })
+    .join("\n");
+
+/**
+ * Build a PDF document
+ * @param {Array<Array<Object>>} pages - Items for each page, see renderPage
+ * @param {Object} [info]
+ * @param {string} [info.title] - Document title shown by readers
+ * @returns {Buffer}
+ */
+const renderPdf = (pages, { title } = {}) => {
+  // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page
+  // and its content stream per page
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Title (${escapeText(title || "")}) /Producer (FBS Backend) >>`,
+  ];
+
+  pages.forEach((items, index) => {
+    const content = renderPage(items);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /${FONTS.regular} 3 0 R /${FONTS.bold} 4 0 R >> >> ` +
+        `/Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let output = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(output, "latin1");
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, "latin1");
+  output +=
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets
+      .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+      .join("") +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\n` +
+    `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, "latin1");
+};
+
+export { PAGE_WIDTH, PAGE_HEIGHT, CHAR_WIDTH, renderPdf };
@@ -0,0 +1,162 @@
+import { LoginSession, SecurityEvent } from "../models/index.js";
+import { sendNotification } from "./notifier/index.js";
+
+/**
+ * Security monitor
+ *
+ * Looks at successful and denied logins for signs of account sharing or
+ * stolen credentials and records them as SecurityEvents. When
+ * SECURITY_ALERT_EMAILS is set, each event is also sent to those addresses.
+ */
+
+// Browser and OS tokens in user agent order of precedence (Edge contains
+// "Chrome", Chrome contains "Safari", Android contains "Linux", ...)
+const BROWSERS = [
+  ["Edg", "Edge"],
+  ["OPR", "Opera"],
+  ["SamsungBrowser", "Samsung Internet"],
+  ["Chrome", "Chrome"],
+  ["Firefox", "Firefox"],
+  ["Safari", "Safari"],
+];
+const OPERATING_SYSTEMS = [
+  ["Windows", "Windows"],
+  ["Android", "Android"],
+  ["iPhone", "iOS"],
+  ["iPad", "iOS"],
+  ["Mac OS X", "macOS"],
+  ["Linux", "Linux"],
+];
+
+/**
+ * Coarse device label from a user agent, e.g. "Chrome on Windows".
+ * Versions are ignored so browser updates do not look like new devices.
+ * @param {string|null} userAgent
+ * @returns {string}
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const match = (list) =>
+    list.find(([token]) => userAgent.includes(token))?.[1];
+
+  return `${match(BROWSERS) || "Other browser"} on ${
+    match(OPERATING_SYSTEMS) || "other OS"
+  }`;
+};
+
+const SUMMARIES = {
+  new_ip: "Login from a new IP address",
+  new_device: "Login from a new device",
+  concurrent_sessions: "Concurrent sessions from different IP addresses",
+  outside_window_login: "Login attempt outside the allowed login window",
+};
+
+/**
+ * Store an event and alert the configured admins
+ */
+const raiseEvent = async (user, event) => {
+  const saved = await SecurityEvent.record({ ...event, userId: user.id });
+
+  const recipients = (process.env.SECURITY_ALERT_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim())
+    .filter(Boolean);
+
+  for (const to of recipients) {
+    await sendNotification({
+      to,
+      subject: `Security alert: ${SUMMARIES[event.type]}`,
+      text:
+        `${SUMMARIES[event.type]} for ${user.name} <${user.email}>.\n\n` +
+        `IP address: ${event.ipAddress || "unknown"}\n` +
+        `Device: ${describeDevice(event.userAgent)}\n` +
+        `Details: ${JSON.stringify(event.details || {})}\n\n` +
+        `Review and acknowledge it under /api/security-events/${saved.id}.`,
+    }).catch((error) => console.error("Security alert error:", error));
+  }
+
+  return saved;
+};
+
+/**
+ * Check a successful login for a new IP, a new device and concurrent
+ * sessions from other IPs. A user's very first login is never "new".
+ * @param {Object} options
+ * @param {Object} options.user - User who logged in
+ * @param {Object} options.session - LoginSession just created
+ * @returns {Promise<SecurityEvent[]>} Events raised
+ */
+const monitorLogin = async ({ user, session }) => {
+  const { ipAddress, userAgent } = session;
+  const historyDays = parseInt(process.env.SECURITY_HISTORY_DAYS) || 90;
+  const events = [];
+
+  const known = await LoginSession.findKnownClients(user.id, {
+    since: new Date(Date.now() - historyDays * 24 * 60 * 60 * 1000),
+    excludeSessionId: session.id,
+  });
+
+  if (known.length) {
+    if (ipAddress && !known.some((client) => client.ipAddress === ipAddress)) {
+      events.push({ type: "new_ip", details: { historyDays } });
+    }
+
+    const device = describeDevice(userAgent);
+    if (!known.some((client) => describeDevice(client.userAgent) === device)) {
+      events.push({ type: "new_device", details: { device, historyDays } });
+    }
+  }
+
+  const others = (await LoginSession.getActiveSessions(user.id)).filter(
+    (other) =>
+      other.id !== session.id &&
+      other.ipAddress &&
+      other.ipAddress !== ipAddress
+  );
+  if (others.length) {
+    events.push({
+      type: "concurrent_sessions",
+      details: {
+        otherSessions: others.map((other) => ({
+          id: other.id,
+          ipAddress: other.ipAddress,
+          loginTime: other.loginTime,
+        })),
+      },
+    });
+  }
+
+  const saved = [];
+  for (const event of events) {
+    saved.push(
+      await raiseEvent(user, {
+        ...event,
+        sessionId: session.id,
+        ipAddress,
+        userAgent,
+      })
+    );
+  }
+
+  return saved;
+};
+
+/**
+ * Record a login with valid credentials that was refused because it was
+ * outside the user's login window
+ * @param {Object} options
+ * @param {Object} options.user - User who tried to log in
+ * @param {Object} options.attempt - { ipAddress, userAgent }
+ * @param {Object} options.denial - Result of checkAccountAccess
+ * @returns {Promise<SecurityEvent>}
+ */
+const recordOutsideWindowLogin = async ({ user, attempt, denial }) =>
+  raiseEvent(user, {
+    type: "outside_window_login",
+    ipAddress: attempt.ipAddress,
+    userAgent: attempt.userAgent,
+    details: { message: denial.message, ...denial.details },
+  });
+
+export { describeDevice, monitorLogin, recordOutsideWindowLogin };
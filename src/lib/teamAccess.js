@@ -0,0 +1,64 @@
+import { Team } from "../models/index.js";
+import { hasPermission } from "../config/permissions.js";
+
+/**
+ * Team-based access
+ *
+ * Roles decide what a user may do; teams widen whose work they may do it
+ * to. A supervisor sees and reassigns the orders and leads of every member
+ * of the teams they lead, without needing the view-all or assign permission.
+ */
+
+/**
+ * Users whose assigned work a user may see
+ * @param {Object} user - Authenticated user
+ * @param {string} viewAllPermission - e.g. "orders:view_all"
+ * @returns {Promise<number[]|null>} Null when the user may see everything;
+ *   otherwise themselves plus the members of the teams they supervise
+ */
+const getVisibleUserIds = async (user, viewAllPermission) => {
+  if (hasPermission(user.role, viewAllPermission)) return null;
+
+  const memberIds = await Team.getSupervisedMemberIds(user.id);
+  return [user.id, ...memberIds.filter((id) => id !== user.id)];
+};
+
+/**
+ * Whether a user may move work between the given users
+ * @param {Object} user - Authenticated user
+ * @param {string} assignPermission - e.g. "orders:assign"
+ * @param {Array<number|null>} userIds - Current and new assignee
+ * @param {Object} [record]
+ * @param {number|null} [record.createdById] - Creator of the order or lead
+ * @returns {Promise<boolean>} Always true with the permission; supervisors
+ *   only when every user is themselves or one of their team members. A null
+ *   (unassigned) entry counts as such when the record was created by one of
+ *   them, so supervisors can hand out their team's unassigned work.
+ */
+const canReassign = async (
+  user,
+  assignPermission,
+  userIds,
+  { createdById } = {}
+) => {
+  if (hasPermission(user.role, assignPermission)) return true;
+
+  const memberIds = await Team.getSupervisedMemberIds(user.id);
+  if (!memberIds.length) return false;
+
+  const allowed = [user.id, ...memberIds];
+  return userIds.every((id) =>
+    allowed.includes(id == null ? createdById : id)
+  );
+};
+
+/**
+ * Whether a user may view a team's details and reports
+ * @param {Object} user - Authenticated user
+ * @param {Object} team - Team with supervisorId
+ * @returns {boolean}
+ */
+const canViewTeam = (user, team) =>
+  hasPermission(user.role, "users:manage") || team.supervisorId === user.id;
+
+export { getVisibleUserIds, canReassign, canViewTeam };
@@ -0,0 +1,120 @@
+/**
+ * Time helpers
+ *
+ * Login windows are stored as wall-clock "HH:MM:SS" strings in the user's
+ * timezone. These helpers convert instants into that wall-clock form so the
+ * checks do not depend on the server's own timezone.
+ */
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/**
+ * Timezone used for users without their own
+ * @returns {string} IANA timezone name
+ */
+const getDefaultTimezone = () => process.env.APP_TIMEZONE || "Asia/Kolkata";
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimezone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Normalize "H:MM", "HH:MM" or "HH:MM:SS" to "HH:MM:SS"
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+const normalizeTime = (value) => {
+  if (!value) return null;
+  const [hours, minutes, seconds = "00"] = String(value).split(":");
+  return [hours, minutes, seconds]
+    .map((part) => part.padStart(2, "0"))
+    .join(":");
+};
+
+/**
+ * Get the wall-clock date, time and weekday of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {{date: string, time: string, weekday: number}}
+ *   date as YYYY-MM-DD, time as HH:MM:SS, weekday 0 (Sunday) - 6
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((part) => part.type === type).value;
+
+  return {
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    time: `${get("hour")}:${get("minute")}:${get("second")}`,
+    weekday: WEEKDAYS.indexOf(get("weekday")),
+  };
+};
+
+/**
+ * Find the schedule entry that covers a wall-clock moment.
+ * Overnight windows (start > end) started on the previous weekday are
+ * taken into account.
+ * @param {Array<{weekday: number, startTime: string, endTime: string}>} schedules
+ * @param {number} weekday - 0 (Sunday) - 6
+ * @param {string} time - HH:MM:SS
+ * @returns {Object|null} Matching schedule entry
+ */
+const findCoveringSchedule = (schedules, weekday, time) => {
+  const today = schedules.find((s) => s.weekday === weekday);
+  if (today) {
+    const start = normalizeTime(today.startTime);
+    const end = normalizeTime(today.endTime);
+    const covered =
+      start <= end ? time >= start && time <= end : time >= start;
+    if (covered) return today;
+  }
+
+  const previous = schedules.find((s) => s.weekday === (weekday + 6) % 7);
+  if (previous) {
+    const start = normalizeTime(previous.startTime);
+    const end = normalizeTime(previous.endTime);
+    if (start > end && time <= end) return previous;
+  }
+
+  return null;
+};
+
+export {
+  WEEKDAY_NAMES,
+  getDefaultTimezone,
+  isValidTimezone,
+  normalizeTime,
+  getZonedParts,
+  findCoveringSchedule,
+};
@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+/**
+ * Token helpers
+ *
+ * Access tokens are short-lived JWTs bound to a LoginSession. Refresh tokens
+ * are opaque random strings; only their SHA-256 hash is ever persisted.
+ */
+
+/**
+ * Sign a short-lived access token for a login session
+ * @param {Object} user - User the token is issued to
+ * @param {number} sessionId - LoginSession ID
+ * @returns {string}
+ */
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      userId: user.id,
+      sessionId,
+      email: user.email,
+      role: user.role,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m" }
+  );
+
+/**
+ * Impersonation token lifetime in minutes (at most an hour)
+ * @returns {number}
+ */
+const impersonationTokenTtlMinutes = () =>
+  Math.min(parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15, 60);
+
+/**
+ * Sign an access token that lets an admin act as another user. It is bound
+ * to the admin's own login session, so it stops working when that session
+ * ends, and it cannot be refreshed.
+ * @param {Object} admin - Admin doing the impersonation
+ * @param {number} sessionId - Admin's LoginSession ID
+ * @param {Object} target - User being impersonated
+ * @returns {string}
+ */
+const signImpersonationToken = (admin, sessionId, target) =>
+  jwt.sign(
+    {
+      userId: admin.id,
+      sessionId,
+      purpose: "impersonation",
+      impersonatedUserId: target.id,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${impersonationTokenTtlMinutes()}m` }
+  );
+
+/**
+ * Sign the short-lived token issued between the password step and the
+ * two-factor step of login. It cannot be used as an access token.
+ * @param {number} userId - User who passed the password step
+ * @returns {string}
+ */
+const signTwoFactorChallenge = (userId) =>
+  jwt.sign({ userId, purpose: "2fa_challenge" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Challenge token
+ * @returns {number|null} User ID, or null if invalid or expired
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "2fa_challenge" ? decoded.userId : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Generate a random URL-safe opaque token
+ * @param {number} [bytes] - Amount of randomness
+ * @returns {string}
+ */
+const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+/**
+ * Generate a new opaque refresh token
+ * @returns {string}
+ */
+const generateRefreshToken = () => generateToken(48);
+
+/**
+ * Hash an opaque token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Refresh token lifetime in milliseconds
+ * @returns {number}
+ */
+const refreshTokenTtl = () =>
+  (parseInt(process.env.REFRESH_TOKEN_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+export {
+  signAccessToken,
+  signImpersonationToken,
+  impersonationTokenTtlMinutes,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  generateToken,
+  generateRefreshToken,
+  hashToken,
+  refreshTokenTtl,
+};
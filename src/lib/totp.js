@@ -0,0 +1,142 @@
+import crypto from "crypto";
+
+/**
+ * TOTP (RFC 6238) helpers compatible with Google Authenticator, Authy, etc.
+ * SHA-1, 6 digits, 30 second steps.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode RFC 4648 base32 (padding and case are ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step number for a moment
+ * @param {number} [timestamp] - Milliseconds since epoch
+ * @returns {number}
+ */
+const getTimeStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Compute the code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window] - Steps accepted either side of now
+ * @param {number} [options.afterStep] - Reject steps up to and including this
+ *   one (prevents replaying a code that was already accepted)
+ * @returns {number|null} Matched time step, or null if invalid
+ */
+const verifyCode = (secret, code, { window = 1, afterStep = -1 } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getTimeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = generateCode(secret, step);
+    const matches = crypto.timingSafeEqual(
+      Buffer.from(expected),
+      Buffer.from(normalized)
+    );
+    if (matches) return step;
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI rendered as a QR code by authenticator apps
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string}
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${query}`;
+};
+
+export { generateSecret, generateCode, verifyCode, buildOtpauthUrl };
@@ -1,70 +1,308 @@
 import jwt from "jsonwebtoken";
 // Fixed: Changed .ts to .js for Node compatibility
 import { prisma } from "../lib/prisma.js";
+import LoginSession from "../models/LoginSession.js";
+import LoginSchedule from "../models/LoginSchedule.js";
+import LoginOverride from "../models/LoginOverride.js";
+import Holiday from "../models/Holiday.js";
+import Setting from "../models/Setting.js";
+import { hasPermission } from "../config/permissions.js";
+import { recordAudit } from "../lib/audit.js";
+import {
+  WEEKDAY_NAMES,
+  getDefaultTimezone,
+  getZonedParts,
+  normalizeTime,
+  findCoveringSchedule,
+} from "../lib/time.js";
 
+/**
+ * Send an authentication error in the shape shared by every router.
+ * The `code` is stable and meant for the frontend; `message` is for humans.
+ */
+const sendAuthError = (res, status, code, message, extra = {}) =>
+  res.status(status).json({ success: false, message, code, ...extra });
+
+/**
+ * Account policy applied on login, on token refresh and on every
+ * authenticated request: the account must be active and, unless the role
+ * has `auth:any_time`, the user must be inside their allowed login window.
+ * @param {Object} user - User with isActive, role and login window fields
+ * @returns {Promise<{status: number, code: string, message: string, details?: Object}|null>}
+ *   Null when access is allowed
+ */
+const checkAccountAccess = async (user) => {
+  if (!user.isActive) {
+    return {
+      status: 403,
+      code: "ACCOUNT_DEACTIVATED",
+      message: "Account has been deactivated. Please contact admin.",
+    };
+  }
+
+  if (!hasPermission(user.role, "auth:any_time")) {
+    const timeCheck = await checkLoginTime(user);
+    if (!timeCheck.allowed) {
+      return {
+        status: 403,
+        code: "OUTSIDE_ALLOWED_TIME",
+        message: timeCheck.message,
+        details: {
+          currentTime: timeCheck.currentTime,
+          timezone: timeCheck.timezone,
+          allowedStartTime: timeCheck.allowedStartTime,
+          allowedEndTime: timeCheck.allowedEndTime,
+        },
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * SessionEndReason for a session closed because of an account denial
+ * @param {{code: string}} denial - Result of checkAccountAccess
+ * @returns {string}
+ */
+const getEndReason = (denial) =>
+  denial.code === "OUTSIDE_ALLOWED_TIME" ? "window_ended" : "revoked";
+
+/**
+ * Steps a user must complete before using the rest of the API. While one is
+ * pending, only the listed routes ("METHOD /path") are reachable.
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<{code: string, message: string, allowedRoutes: string[]}|null>}
+ */
+const getPendingRequirement = async (user) => {
+  if (user.mustChangePassword) {
+    return {
+      code: "PASSWORD_CHANGE_REQUIRED",
+      message: "You must change your password before continuing",
+      allowedRoutes: [
+        "GET /api/auth/profile",
+        "POST /api/auth/logout",
+        "POST /api/auth/change-password",
+      ],
+    };
+  }
+
+  if (
+    user.role === "admin" &&
+    !user.twoFactorEnabled &&
+    (await Setting.get("requireAdminTwoFactor")) === true
+  ) {
+    return {
+      code: "TWO_FACTOR_SETUP_REQUIRED",
+      message: "Two-factor authentication must be set up before continuing",
+      allowedRoutes: [
+        "GET /api/auth/profile",
+        "POST /api/auth/logout",
+        "GET /api/auth/2fa",
+        "POST /api/auth/2fa/setup",
+        "POST /api/auth/2fa/verify",
+      ],
+    };
+  }
+
+  return null;
+};
+
+// User fields exposed as req.user
+const AUTH_USER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true,
+  alternatePhone: true,
+  alternateEmail: true,
+  role: true,
+  loginStartTime: true,
+  loginEndTime: true,
+  timezone: true,
+  isActive: true,
+  twoFactorEnabled: true,
+  mustChangePassword: true,
+};
+
+/**
+ * Routes an impersonation token may not use: everything that touches the
+ * impersonated user's credentials, 2FA or sessions. Only reading the
+ * profile is allowed under /api/auth.
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const isBlockedWhileImpersonating = (req) => {
+  const path = req.baseUrl + req.path;
+  if (!path.startsWith("/api/auth")) return false;
+  return !(req.method === "GET" && path === "/api/auth/profile");
+};
+
+/**
+ * Switch the request to the impersonated user. The session, account and
+ * pending-requirement checks have already run against the admin.
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const applyImpersonation = async (req, res, admin, decoded) => {
+  if (!hasPermission(admin.role, "users:impersonate")) {
+    sendAuthError(
+      res,
+      403,
+      "IMPERSONATION_NOT_ALLOWED",
+      "You are not allowed to impersonate users"
+    );
+    return true;
+  }
+
+  if (isBlockedWhileImpersonating(req)) {
+    sendAuthError(
+      res,
+      403,
+      "IMPERSONATION_FORBIDDEN",
+      "This action is not available while impersonating a user"
+    );
+    return true;
+  }
+
+  const target = await prisma.user.findUnique({
+    where: { id: decoded.impersonatedUserId },
+    select: AUTH_USER_SELECT,
+  });
+
+  if (!target || !target.isActive) {
+    sendAuthError(
+      res,
+      401,
+      "IMPERSONATION_ENDED",
+      "The impersonated user is no longer active"
+    );
+    return true;
+  }
+
+  req.user = target;
+  req.impersonator = admin;
+  res.set("X-Impersonated-By", String(admin.id));
+
+  // Every request made while impersonating is logged, reads included
+  res.on("finish", () => {
+    recordAudit(req, {
+      action: "user.impersonation_request",
+      entityType: "user",
+      entityId: target.id,
+      after: {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+      },
+    });
+  });
+
+  return false;
+};
+
+/**
+ * Authentication layer used by every protected router. Verifies the access
+ * token, checks its LoginSession is still valid, loads the user and applies
+ * the account policy before exposing `req.user` and `req.sessionId`.
+ * Impersonation tokens are checked as the admin who holds them and then run
+ * as the impersonated user, with the admin in `req.impersonator`.
+ */
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers["authorization"];
-    const token = authHeader && authHeader.split(" ")[1];
+    const token =
+      authHeader && authHeader.startsWith("Bearer ")
+        ? authHeader.split(" ")[1]
+        : null;
 
     if (!token) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Access token required" });
+      return sendAuthError(res, 401, "TOKEN_REQUIRED", "Access token required");
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens are bound to the LoginSession created at login; once that
+    // session is ended or invalidated the token stops working.
+    const session = await LoginSession.findActive(
+      decoded.sessionId,
+      decoded.userId
+    );
+    if (!session) {
+      return sendAuthError(
+        res,
+        401,
+        "SESSION_REVOKED",
+        "Session has been revoked. Please login again."
+      );
+    }
+
+    const now = new Date();
+    if (await LoginSession.closeIfIdle(session, now)) {
+      return sendAuthError(
+        res,
+        401,
+        "SESSION_IDLE",
+        "Session closed after inactivity. Please login again."
+      );
+    }
+
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        phone: true,
-        role: true,
-        loginStartTime: true,
-        loginEndTime: true,
-        isActive: true,
-      },
+      select: AUTH_USER_SELECT,
     });
 
     if (!user) {
-      return res
-        .status(401)
-        .json({ success: false, message: "User not found" });
+      return sendAuthError(res, 401, "USER_NOT_FOUND", "User not found");
     }
 
-    if (!user.isActive) {
-      return res
-        .status(403)
-        .json({ success: false, message: "Account has been deactivated" });
+    const denial = await checkAccountAccess(user);
+    if (denial) {
+      await LoginSession.endSession(session.id, {
+        reason: getEndReason(denial),
+      });
+
+      const message =
+        denial.code === "OUTSIDE_ALLOWED_TIME"
+          ? "Session expired: " + denial.message
+          : denial.message;
+      return sendAuthError(
+        res,
+        denial.status,
+        denial.code,
+        message,
+        denial.details
+      );
     }
 
-    if (user.role === "employee") {
-      const timeCheck = checkLoginTime(user.loginStartTime, user.loginEndTime);
-      if (!timeCheck.allowed) {
-        return res.status(403).json({
-          success: false,
-          message: "Session expired: " + timeCheck.message,
-          currentTime: timeCheck.currentTime,
-          allowedStartTime: user.loginStartTime,
-          allowedEndTime: user.loginEndTime,
-          code: "OUTSIDE_ALLOWED_TIME",
-        });
-      }
+    const requirement = await getPendingRequirement(user);
+    if (
+      requirement &&
+      !requirement.allowedRoutes.includes(
+        `${req.method} ${req.baseUrl}${req.path}`
+      )
+    ) {
+      return sendAuthError(res, 403, requirement.code, requirement.message);
     }
 
+    await LoginSession.recordHeartbeat(session, now);
+
     req.user = user;
+    req.sessionId = decoded.sessionId;
+
+    if (
+      decoded.purpose === "impersonation" &&
+      (await applyImpersonation(req, res, user, decoded))
+    ) {
+      return;
+    }
+
     next();
   } catch (error) {
     if (error.name === "TokenExpiredError") {
-      return res
-        .status(401)
-        .json({ success: false, message: "Token has expired" });
+      return sendAuthError(res, 401, "TOKEN_EXPIRED", "Token has expired");
     }
     if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({ success: false, message: "Invalid token" });
+      return sendAuthError(res, 401, "TOKEN_INVALID", "Invalid token");
     }
     console.error("Auth middleware error:", error);
     return res
@@ -73,63 +311,75 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== "admin") {
-    return res
-      .status(403)
-      .json({ success: false, message: "Access denied. Admins only" });
-  }
-  next();
-};
+/**
+ * Check whether a user may be logged in at a given moment.
+ *
+ * Evaluated in the user's timezone (or APP_TIMEZONE). In order:
+ * an active admin-granted override always allows; users without any window
+ * are unrestricted; company holidays deny; otherwise the weekly schedule
+ * (or loginStartTime/loginEndTime on every day) must cover the current time.
+ *
+ * @param {Object} user - User with id, timezone and login window fields
+ * @param {Date} [now] - Moment to check
+ * @returns {Promise<{allowed: boolean, message?: string, currentTime: string,
+ *   timezone: string, allowedStartTime?: string|null, allowedEndTime?: string|null}>}
+ */
+const checkLoginTime = async (user, now = new Date()) => {
+  const timezone = user.timezone || getDefaultTimezone();
+  const { date, time: currentTime, weekday } = getZonedParts(now, timezone);
 
-export const protect = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
+  const override = await LoginOverride.findActive(user.id, now);
+  if (override) {
+    return { allowed: true, currentTime, timezone, overrideId: override.id };
+  }
 
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({ message: "Unauthorized" });
-    }
+  let schedules = await LoginSchedule.findByUserId(user.id);
+  if (!schedules.length && user.loginStartTime && user.loginEndTime) {
+    schedules = WEEKDAY_NAMES.map((_, day) => ({
+      weekday: day,
+      startTime: user.loginStartTime,
+      endTime: user.loginEndTime,
+    }));
+  }
 
-    const token = authHeader.split(" ")[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!schedules.length) {
+    return { allowed: true, currentTime, timezone };
+  }
 
-    req.user = {
-      id: decoded.userId,
-      role: decoded.role,
-    };
+  const today = schedules.find((s) => s.weekday === weekday);
+  const denied = (message) => ({
+    allowed: false,
+    message,
+    currentTime,
+    timezone,
+    allowedStartTime: normalizeTime(today?.startTime),
+    allowedEndTime: normalizeTime(today?.endTime),
+  });
 
-    next();
-  } catch (error) {
-    return res.status(401).json({ message: "Invalid token" });
+  const holiday = await Holiday.findByDate(date);
+  if (holiday) {
+    return denied(`Login not allowed on company holiday (${holiday.name})`);
   }
-};
 
-const checkLoginTime = (loginStartTime, loginEndTime) => {
-  if (!loginStartTime || !loginEndTime) {
-    return { allowed: true };
+  if (findCoveringSchedule(schedules, weekday, currentTime)) {
+    return { allowed: true, currentTime, timezone };
   }
 
-  const now = new Date();
-  const currentTime = now.toTimeString().slice(0, 8);
-
-  const start = loginStartTime;
-  const end = loginEndTime;
-
-  if (start > end) {
-    if (currentTime >= start || currentTime <= end) {
-      return { allowed: true };
-    }
-  } else {
-    if (currentTime >= start && currentTime <= end) {
-      return { allowed: true };
-    }
+  if (!today) {
+    return denied(
+      `Login not allowed on ${WEEKDAY_NAMES[weekday]} (weekly off)`
+    );
   }
 
-  return {
-    allowed: false,
-    message: `Login allowed only between ${loginStartTime} and ${loginEndTime}`,
-    currentTime,
-  };
+  return denied(
+    `Login allowed only between ${normalizeTime(today.startTime)} and ${normalizeTime(today.endTime)} (${timezone})`
+  );
 };
 
-export { authenticateToken, isAdmin, checkLoginTime };
+export {
+  authenticateToken,
+  checkLoginTime,
+  checkAccountAccess,
+  getEndReason,
+  sendAuthError,
+};
@@ -0,0 +1,40 @@
+import { hasPermission, PERMISSIONS } from "../config/permissions.js";
+import { sendAuthError } from "./auth.js";
+
+/**
+ * Permission guard. Must run after `authenticateToken`.
+ * Passes when the user's role grants at least one of the given permissions.
+ *
+ * @example router.post("/:id/assign", authorize("orders:assign"), assignOrder);
+ * @param {...string} permissions - Permissions from config/permissions.js
+ */
+const authorize = (...permissions) => {
+  const unknown = permissions.filter((p) => !PERMISSIONS.includes(p));
+  if (unknown.length) {
+    throw new Error(`Unknown permission(s): ${unknown.join(", ")}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendAuthError(res, 401, "TOKEN_REQUIRED", "Access token required");
+    }
+
+    const allowed = permissions.some((permission) =>
+      hasPermission(req.user.role, permission)
+    );
+
+    if (!allowed) {
+      return sendAuthError(
+        res,
+        403,
+        "FORBIDDEN",
+        "Access denied. You do not have permission to perform this action",
+        { requiredPermissions: permissions }
+      );
+    }
+
+    next();
+  };
+};
+
+export { authorize };
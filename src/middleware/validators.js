@@ -1,4 +1,12 @@
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
+import { ROLES } from '../config/permissions.js';
+import { ORDER_STATUSES } from '../config/orderStatus.js';
+import { ORDER_FIELD_RULES } from '../config/orderFields.js';
+import { isValidTimezone } from '../lib/time.js';
+import { parseGstRate } from '../lib/orderPricing.js';
+import { validatePassword } from '../config/passwordPolicy.js';
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -13,6 +21,37 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Run a set of validation rules against a plain object instead of a
+// request, e.g. one row of a CSV import. Returns the sanitized values.
+const validateRecord = async (rules, record) => {
+  const req = { body: { ...record } };
+
+  for (const rule of rules) {
+    if (typeof rule.run === 'function') await rule.run(req);
+  }
+
+  const errors = validationResult(req)
+    .array()
+    .map((error) => ({ field: error.path, message: error.msg }));
+
+  return { values: req.body, errors };
+};
+
+// Password policy rule for a body field. The account email comes from the
+// body (registration) or from the authenticated user (change password).
+const passwordPolicyRule = (field) =>
+  body(field)
+    .notEmpty()
+    .withMessage('Password is required')
+    .bail()
+    .custom((value, { req }) => {
+      const errors = validatePassword(value, {
+        email: req.body.email || req.user?.email,
+      });
+      if (errors.length) throw new Error(errors.join('. '));
+      return true;
+    });
+
 // Registration validation rules
 const registerValidation = [
   body('name')
@@ -37,16 +76,12 @@ const registerValidation = [
     .matches(/^[0-9]{10,15}$/)
     .withMessage('Please provide a valid phone number (10-15 digits)'),
   
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+  passwordPolicyRule('password'),
   
   body('role')
     .optional()
-    .isIn(['admin', 'employee'])
-    .withMessage('Role must be either admin or employee'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   
   body('loginStartTime')
     .optional()
@@ -58,6 +93,11 @@ const registerValidation = [
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
     .withMessage('Login end time must be in HH:MM or HH:MM:SS format'),
   
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA timezone, e.g. Asia/Kolkata'),
+  
   handleValidationErrors,
 ];
 
@@ -78,6 +118,110 @@ const loginValidation = [
   handleValidationErrors,
 ];
 
+// Refresh token validation rules
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors,
+];
+
+// Two-factor login step validation rules
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  body('code')
+    .if(body('backupCode').not().exists())
+    .notEmpty()
+    .withMessage('Either code or backupCode is required'),
+  
+  handleValidationErrors,
+];
+
+// TOTP code validation rules
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  handleValidationErrors,
+];
+
+// Disable two-factor validation rules
+const twoFactorDisableValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  handleValidationErrors,
+];
+
+// Forgot password validation rules
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  handleValidationErrors,
+];
+
+// Reset password (with token) validation rules
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  passwordPolicyRule('newPassword'),
+  
+  handleValidationErrors,
+];
+
+// Change own password validation rules
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  passwordPolicyRule('newPassword'),
+  
+  handleValidationErrors,
+];
+
+// Admin password reset validation rules
+const adminResetPasswordValidation = [
+  passwordPolicyRule('newPassword'),
+  
+  handleValidationErrors,
+];
+
+// Impersonation validation rules
+const impersonateValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason for impersonating the user is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  
+  handleValidationErrors,
+];
+
 // Update user validation rules
 const updateUserValidation = [
   body('name')
@@ -94,8 +238,8 @@ const updateUserValidation = [
   
   body('role')
     .optional()
-    .isIn(['admin', 'employee'])
-    .withMessage('Role must be either admin or employee'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   
   body('loginStartTime')
     .optional({ nullable: true })
@@ -113,6 +257,11 @@ const updateUserValidation = [
     })
     .withMessage('Login end time must be in HH:MM or HH:MM:SS format'),
   
+  body('timezone')
+    .optional({ nullable: true })
+    .custom((value) => value === null || isValidTimezone(value))
+    .withMessage('Timezone must be a valid IANA timezone, e.g. Asia/Kolkata'),
+  
   body('isActive')
     .optional()
     .isBoolean()
@@ -121,9 +270,610 @@ const updateUserValidation = [
   handleValidationErrors,
 ];
 
+// Self-service profile validation rules
+const profileValidation = [
+  body([
+    'email',
+    'role',
+    'loginStartTime',
+    'loginEndTime',
+    'timezone',
+    'isActive',
+  ])
+    .not()
+    .exists()
+    .withMessage('This field can only be changed by an admin'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  
+  body('phone')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{10,15}$/)
+    .withMessage('Please provide a valid phone number (10-15 digits)'),
+  
+  body('alternatePhone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[0-9]{10,15}$/)
+    .withMessage('Please provide a valid alternate phone number (10-15 digits)'),
+  
+  body('alternateEmail')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid alternate email')
+    .normalizeEmail(),
+  
+  handleValidationErrors,
+];
+
+// Weekly login schedule validation rules
+const scheduleValidation = [
+  body('timezone')
+    .optional({ nullable: true })
+    .custom((value) => value === null || isValidTimezone(value))
+    .withMessage('Timezone must be a valid IANA timezone, e.g. Asia/Kolkata'),
+  
+  body('days')
+    .isArray({ max: 7 })
+    .withMessage('days must be an array of at most 7 entries')
+    .custom((days) => {
+      const weekdays = days.map((day) => Number(day?.weekday));
+      return new Set(weekdays).size === weekdays.length;
+    })
+    .withMessage('Each weekday may appear only once'),
+  
+  body('days.*.weekday')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('weekday must be 0 (Sunday) to 6 (Saturday)'),
+  
+  body('days.*.startTime')
+    .matches(TIME_PATTERN)
+    .withMessage('startTime must be in HH:MM or HH:MM:SS format'),
+  
+  body('days.*.endTime')
+    .matches(TIME_PATTERN)
+    .withMessage('endTime must be in HH:MM or HH:MM:SS format'),
+  
+  handleValidationErrors,
+];
+
+// Login override validation rules
+const loginOverrideValidation = [
+  body('startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('startsAt must be an ISO 8601 date-time'),
+  
+  body('endsAt')
+    .notEmpty()
+    .withMessage('endsAt is required')
+    .isISO8601()
+    .withMessage('endsAt must be an ISO 8601 date-time')
+    .custom((endsAt, { req }) => {
+      const startsAt = req.body.startsAt
+        ? new Date(req.body.startsAt)
+        : new Date();
+      return new Date(endsAt) > startsAt;
+    })
+    .withMessage('endsAt must be after startsAt'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  
+  handleValidationErrors,
+];
+
+// Holiday validation rules
+const holidayValidation = [
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format')
+    .isISO8601({ strict: true })
+    .withMessage('Date must be a valid calendar date'),
+  
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Holiday name is required')
+    .isLength({ max: 100 })
+    .withMessage('Holiday name must be at most 100 characters'),
+  
+  handleValidationErrors,
+];
+
+// User list query validation
+const listUsersValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+  
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('search must be at most 100 characters'),
+  
+  query('sortBy')
+    .optional()
+    .isIn(['name', 'lastLogin', 'createdAt'])
+    .withMessage('sortBy must be one of: name, lastLogin, createdAt'),
+  
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('order must be asc or desc'),
+  
+  query(['isActive', 'withinLoginWindow', 'hasActiveSession'])
+    .optional()
+    .isBoolean()
+    .withMessage('Must be true or false'),
+  
+  handleValidationErrors,
+];
+
+// Attendance report query validation
+const attendanceValidation = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Date must be a valid calendar date (YYYY-MM-DD)')
+    .bail()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  
+  query('userId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('userId must be a user ID'),
+  
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('format must be json or csv'),
+  
+  handleValidationErrors,
+];
+
+// Order creation validation
+const orderAmount = (field) =>
+  body(field)
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage(`${field} must be a non-negative number`);
+
+const gstRate = () =>
+  body('gstRate')
+    .optional({ nullable: true })
+    .custom((value) => parseGstRate(value) !== null)
+    .withMessage('gstRate must be a percentage such as 18 or 18%');
+
+const createOrderValidation = [
+  body('orderNumber')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 50 })
+    .withMessage('orderNumber must be 1-50 characters'),
+  
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('items must be a non-empty array'),
+  
+  body('items.*.productName')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each item needs a productName'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Item quantity must be a positive whole number'),
+  
+  body('items.*.price')
+    .isFloat({ min: 0 })
+    .withMessage('Item price must be a non-negative number'),
+  
+  body('items.*.hsnCode')
+    .optional({ nullable: true })
+    .matches(/^[0-9]{4,8}$/)
+    .withMessage('HSN code must be 4 to 8 digits'),
+  
+  orderAmount('totalAmount'),
+  orderAmount('discount'),
+  orderAmount('advance'),
+  orderAmount('courierCharges'),
+  
+  body('withGST')
+    .optional({ nullable: true })
+    .isIn(['inclusive', 'exclusive'])
+    .withMessage('withGST must be inclusive or exclusive'),
+  
+  gstRate(),
+  
+  handleValidationErrors,
+];
+
+// Order status validation
+const orderNote = (field) =>
+  body(field)
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be at most 1000 characters');
+
+const orderStatusValidation = [
+  body('status')
+    .isIn(ORDER_STATUSES)
+    .withMessage(`Status must be one of: ${ORDER_STATUSES.join(', ')}`),
+  
+  orderNote('note'),
+  
+  handleValidationErrors,
+];
+
+const deliverValidation = [orderNote('note'), handleValidationErrors];
+
+const rtoValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('RTO reason is required'),
+  
+  orderNote('reason'),
+  
+  handleValidationErrors,
+];
+
+// Invoice / credit note download validation
+const invoiceFormatValidation = [
+  query('format')
+    .optional()
+    .isIn(['pdf', 'json'])
+    .withMessage('format must be pdf or json'),
+  
+  handleValidationErrors,
+];
+
+// Order edit validation
+const EDITABLE_ORDER_FIELDS = Object.keys(ORDER_FIELD_RULES);
+
+const updateOrderValidation = [
+  body()
+    .custom((value) =>
+      Object.keys(value || {}).every((key) =>
+        EDITABLE_ORDER_FIELDS.includes(key)
+      )
+    )
+    .withMessage(
+      `Only these fields can be edited: ${EDITABLE_ORDER_FIELDS.join(', ')}`
+    ),
+  
+  body(['customerName', 'shippingAddress'])
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Must be a non-empty string'),
+  
+  body('customerName')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Customer name must be at most 100 characters'),
+  
+  body('customerPhone')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{10,15}$/)
+    .withMessage('Please provide a valid phone number (10-15 digits)'),
+  
+  body('alternateContact')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^[0-9]{10,15}$/)
+    .withMessage('Please provide a valid alternate phone number (10-15 digits)'),
+  
+  body('totalAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('totalAmount must be a non-negative number'),
+  
+  orderAmount('discount'),
+  orderAmount('advance'),
+  orderAmount('courierCharges'),
+  
+  body('withGST')
+    .optional({ nullable: true })
+    .isIn(['inclusive', 'exclusive'])
+    .withMessage('withGST must be inclusive or exclusive'),
+  
+  body('paymentStatus')
+    .optional()
+    .isIn(['pending', 'paid', 'failed', 'refunded', 'unpaid'])
+    .withMessage(
+      'paymentStatus must be one of: pending, paid, failed, refunded, unpaid'
+    ),
+  
+  gstRate(),
+  
+  body([
+    'stateCode',
+    'paymentType',
+    'orderRemark',
+    'pipelineRemark',
+    'deliveryPartner',
+    'trackingId',
+    'liveLocation',
+  ])
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Must be a string'),
+  
+  handleValidationErrors,
+];
+
+// Order / lead assignment validation
+const assignValidation = [
+  body('assignedToId')
+    .isInt({ min: 1 })
+    .withMessage('assignedToId must be a user ID'),
+  
+  handleValidationErrors,
+];
+
+// Team validation
+const teamName = () =>
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Team name is required')
+    .isLength({ max: 100 })
+    .withMessage('Team name must be at most 100 characters');
+
+const supervisorId = () =>
+  body('supervisorId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('supervisorId must be a user ID');
+
+const createTeamValidation = [
+  teamName(),
+  supervisorId(),
+  handleValidationErrors,
+];
+
+const updateTeamValidation = [
+  teamName().optional(),
+  supervisorId(),
+  handleValidationErrors,
+];
+
+const teamMembersValidation = [
+  body('userIds')
+    .isArray({ min: 1 })
+    .withMessage('userIds must be a non-empty array of user IDs'),
+  
+  body('userIds.*')
+    .isInt({ min: 1 })
+    .withMessage('userIds must contain user IDs'),
+  
+  handleValidationErrors,
+];
+
+const teamReportValidation = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO 8601 date'),
+  
+  handleValidationErrors,
+];
+
+// Security event validation
+const SECURITY_EVENT_TYPES = [
+  'new_ip',
+  'new_device',
+  'concurrent_sessions',
+  'outside_window_login',
+];
+
+// Active sessions listing validation
+const sessionsQueryValidation = [
+  query('userId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('userId must be a user ID'),
+  
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`role must be one of: ${ROLES.join(', ')}`),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+  
+  handleValidationErrors,
+];
+
+const securityEventsQueryValidation = [
+  query('type')
+    .optional()
+    .isIn(SECURITY_EVENT_TYPES)
+    .withMessage(`type must be one of: ${SECURITY_EVENT_TYPES.join(', ')}`),
+  
+  query('userId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('userId must be a user ID'),
+  
+  query('acknowledged')
+    .optional()
+    .isBoolean()
+    .withMessage('acknowledged must be true or false'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Must be an ISO 8601 date or date-time'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+  
+  handleValidationErrors,
+];
+
+// Audit log validation
+const auditQueryValidation = [
+  query(['actorId', 'impersonatedUserId'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Must be a user ID'),
+  
+  query(['action', 'entityType', 'entityId'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Must be between 1 and 100 characters'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Must be an ISO 8601 date or date-time'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('limit must be between 1 and 200'),
+  
+  handleValidationErrors,
+];
+
+const acknowledgeEventValidation = [
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+  
+  handleValidationErrors,
+];
+
+// Offboarding validation
+const offboardValidation = [
+  body('reassignToId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('reassignToId must be a user ID'),
+  
+  body('spreadAmong')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('spreadAmong must be a non-empty array of user IDs'),
+  
+  body('spreadAmong.*')
+    .isInt({ min: 1 })
+    .withMessage('spreadAmong must contain user IDs'),
+  
+  body('spreadRole')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`spreadRole must be one of: ${ROLES.join(', ')}`),
+  
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .toBoolean(true)
+    .withMessage('dryRun must be a boolean'),
+  
+  body()
+    .custom((value) => {
+      const targets = ['reassignToId', 'spreadAmong', 'spreadRole'].filter(
+        (field) => value?.[field] !== undefined
+      );
+      return targets.length <= 1;
+    })
+    .withMessage('Use only one of reassignToId, spreadAmong or spreadRole'),
+  
+  handleValidationErrors,
+];
+
 export {
   registerValidation,
   loginValidation,
+  refreshValidation,
+  twoFactorLoginValidation,
+  twoFactorCodeValidation,
+  twoFactorDisableValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  adminResetPasswordValidation,
+  impersonateValidation,
   updateUserValidation,
+  profileValidation,
+  scheduleValidation,
+  loginOverrideValidation,
+  holidayValidation,
+  listUsersValidation,
+  attendanceValidation,
+  createOrderValidation,
+  orderStatusValidation,
+  deliverValidation,
+  rtoValidation,
+  invoiceFormatValidation,
+  updateOrderValidation,
+  assignValidation,
+  createTeamValidation,
+  updateTeamValidation,
+  teamMembersValidation,
+  teamReportValidation,
+  sessionsQueryValidation,
+  securityEventsQueryValidation,
+  acknowledgeEventValidation,
+  auditQueryValidation,
+  offboardValidation,
   handleValidationErrors,
+  validateRecord,
 };
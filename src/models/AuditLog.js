@@ -0,0 +1,100 @@
+import { prisma } from "../lib/prisma.js";
+
+/**
+ * AuditLog Model - Prisma-based
+ *
+ * Append-only: entries are only ever created and read. There is deliberately
+ * no update or delete method.
+ */
+const AuditLog = {
+  /**
+   * Record an admin action
+   * @param {Object} entry - Audit entry
+   * @param {string} entry.action - e.g. "user.update"
+   * @param {string} entry.entityType - e.g. "user", "order"
+   * @param {Object} [entry.before] - Changed fields before the action
+   * @param {Object} [entry.after] - Changed fields after the action
+   * @returns {Promise<AuditLog>}
+   */
+  async record({
+    actorId,
+    impersonatedUserId,
+    action,
+    entityType,
+    entityId,
+    before,
+    after,
+    ipAddress,
+    userAgent,
+  }) {
+    return prisma.auditLog.create({
+      data: {
+        actorId: actorId ? parseInt(actorId) : null,
+        impersonatedUserId: impersonatedUserId
+          ? parseInt(impersonatedUserId)
+          : null,
+        action,
+        entityType,
+        entityId: entityId != null ? String(entityId) : null,
+        before: before ?? undefined,
+        after: after ?? undefined,
+        ipAddress: ipAddress || null,
+        userAgent: userAgent || null,
+      },
+    });
+  },
+
+  /**
+   * List audit entries, newest first
+   * @param {Object} filters - Filter options
+   * @param {string} [filters.action] - Exact action, or a prefix ending in "."
+   * @param {number} [filters.impersonatedUserId] - Only actions taken while
+   *   impersonating this user
+   * @returns {Promise<{entries: AuditLog[], total: number}>}
+   */
+  async findAll({
+    actorId,
+    impersonatedUserId,
+    action,
+    entityType,
+    entityId,
+    from,
+    to,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const where = {};
+
+    if (actorId) where.actorId = parseInt(actorId);
+    if (impersonatedUserId) {
+      where.impersonatedUserId = parseInt(impersonatedUserId);
+    }
+    if (action) {
+      where.action = action.endsWith(".") ? { startsWith: action } : action;
+    }
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = String(entityId);
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        include: {
+          actor: { select: { id: true, name: true, email: true, role: true } },
+        },
+        orderBy: { createdAt: "desc" },
+        take: limit,
+        skip: offset,
+      }),
+      prisma.auditLog.count({ where }),
+    ]);
+
+    return { entries, total };
+  },
+};
+
+export default AuditLog;
@@ -0,0 +1,74 @@
+import { prisma } from "../lib/prisma.js";
+
+// DATE columns round-trip as UTC midnight
+const toDate = (date) => new Date(`${date}T00:00:00.000Z`);
+
+/**
+ * Holiday Model - Prisma-based
+ *
+ * Company holiday calendar. Dates are calendar days (YYYY-MM-DD) and are
+ * matched against the user's local date.
+ */
+const Holiday = {
+  /**
+   * Find the holiday on a calendar day
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Holiday|null>}
+   */
+  async findByDate(date) {
+    return prisma.holiday.findUnique({
+      where: { date: toDate(date) },
+    });
+  },
+
+  /**
+   * List holidays, optionally within a date range
+   * @param {Object} options - Query options
+   * @param {string} [options.from] - YYYY-MM-DD (inclusive)
+   * @param {string} [options.to] - YYYY-MM-DD (inclusive)
+   * @returns {Promise<Holiday[]>}
+   */
+  async findAll({ from, to } = {}) {
+    const where = {};
+
+    if (from || to) {
+      where.date = {};
+      if (from) where.date.gte = toDate(from);
+      if (to) where.date.lte = toDate(to);
+    }
+
+    return prisma.holiday.findMany({
+      where,
+      orderBy: { date: "asc" },
+    });
+  },
+
+  /**
+   * Create a holiday
+   * @param {Object} holidayData - { date: YYYY-MM-DD, name }
+   * @returns {Promise<Holiday>}
+   */
+  async create({ date, name }) {
+    return prisma.holiday.create({
+      data: { date: toDate(date), name },
+    });
+  },
+
+  /**
+   * Delete a holiday
+   * @param {number} id - Holiday ID
+   * @returns {Promise<Holiday|null>}
+   */
+  async delete(id) {
+    try {
+      return await prisma.holiday.delete({
+        where: { id: parseInt(id) },
+      });
+    } catch (error) {
+      if (error.code === "P2025") return null;
+      throw error;
+    }
+  },
+};
+
+export default Holiday;
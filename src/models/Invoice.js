@@ -0,0 +1,88 @@
+import { Prisma } from "../../generated/prisma/client.js";
+import { prisma } from "../lib/prisma.js";
+import OrderSequence from "./OrderSequence.js";
+
+/**
+ * Whether a unique constraint error is the order already having a document
+ * of the type, rather than a clash on the invoice number. MySQL reports the
+ * index name; driver adapters may report the fields instead.
+ * @param {Error} error - Prisma P2002 error
+ * @returns {boolean}
+ */
+const isAlreadyIssued = (error) => {
+  const constraint = error.meta?.driverAdapterError?.cause?.constraint;
+  const target = error.meta?.target ?? constraint?.index ?? constraint?.fields;
+
+  return [].concat(target ?? []).some((name) => /order_?id/i.test(name));
+};
+
+/**
+ * Invoice Model - Prisma-based
+ *
+ * Tax invoices and credit notes for orders. Documents are never changed
+ * once issued; an order has at most one of each type.
+ */
+const Invoice = {
+  /**
+   * Find an order's invoice or credit note
+   * @param {number} orderId
+   * @param {"invoice"|"credit_note"} type
+   * @returns {Promise<Invoice|null>}
+   */
+  async findByOrder(orderId, type) {
+    return prisma.invoice.findUnique({
+      where: { orderId_type: { orderId: parseInt(orderId), type } },
+    });
+  },
+
+  /**
+   * Issue a document. Its number comes from a sequence advanced in the same
+   * transaction, so numbers are consecutive with no gaps.
+   * @param {Object} params
+   * @param {number} params.orderId
+   * @param {"invoice"|"credit_note"} params.type
+   * @param {string} params.sequenceKey - Sequence the number is drawn from
+   * @param {(sequence: number) => string} params.formatNumber
+   * @param {(invoiceNumber: string) => Object} params.build - Document data
+   *   to store; must include totals.totalAmount
+   * @param {string} [params.reason]
+   * @param {number} [params.issuedById]
+   * @returns {Promise<Invoice|null>} Null if the order already has one
+   */
+  async issue({
+    orderId,
+    type,
+    sequenceKey,
+    formatNumber,
+    build,
+    reason,
+    issuedById,
+  }) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const invoiceNumber = formatNumber(
+          await OrderSequence.next(sequenceKey, tx)
+        );
+        const data = build(invoiceNumber);
+
+        return tx.invoice.create({
+          data: {
+            invoiceNumber,
+            type,
+            orderId: parseInt(orderId),
+            totalAmount: new Prisma.Decimal(data.totals.totalAmount),
+            reason: reason || null,
+            data,
+            issuedById: issuedById ? parseInt(issuedById) : null,
+          },
+        });
+      });
+    } catch (error) {
+      // Someone else issued it first; their transaction kept the number
+      if (error.code === "P2002" && isAlreadyIssued(error)) return null;
+      throw error;
+    }
+  },
+};
+
+export default Invoice;
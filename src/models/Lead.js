@@ -0,0 +1,97 @@
+import { prisma } from "../lib/prisma.js";
+
+const PERSON_SELECT = { id: true, name: true };
+
+/**
+ * Lead Model - Prisma-based
+ *
+ * Read and assignment helpers for leads. A lead is visible to the user it
+ * is assigned to and to the user who created it.
+ */
+const Lead = {
+  /**
+   * Find lead by ID
+   * @param {string} id - Lead ID (UUID)
+   * @returns {Promise<Lead|null>}
+   */
+  async findById(id) {
+    return prisma.lead.findUnique({
+      where: { id },
+      include: {
+        assignedTo: { select: PERSON_SELECT },
+        createdBy: { select: PERSON_SELECT },
+      },
+    });
+  },
+
+  /**
+   * List leads, newest first
+   * @param {Object} filters - Filter options
+   * @param {number[]} [filters.visibleToUserIds] - Only leads assigned to or
+   *   created by one of these users
+   * @param {number} [filters.assignedToId] - Only leads assigned to this user
+   * @returns {Promise<{leads: Lead[], total: number}>}
+   */
+  async findAll({
+    visibleToUserIds,
+    assignedToId,
+    search,
+    limit = 10,
+    offset = 0,
+  } = {}) {
+    const where = { AND: [] };
+
+    if (visibleToUserIds) {
+      where.AND.push({
+        OR: [
+          { assignedToId: { in: visibleToUserIds } },
+          { createdById: { in: visibleToUserIds } },
+        ],
+      });
+    }
+    if (assignedToId) where.AND.push({ assignedToId: parseInt(assignedToId) });
+    if (search) {
+      where.AND.push({
+        OR: [
+          { customerName: { contains: search } },
+          { customerPhone: { contains: search } },
+        ],
+      });
+    }
+
+    const [leads, total] = await Promise.all([
+      prisma.lead.findMany({
+        where,
+        include: {
+          assignedTo: { select: PERSON_SELECT },
+          createdBy: { select: PERSON_SELECT },
+        },
+        orderBy: { createdAt: "desc" },
+        take: limit,
+        skip: offset,
+      }),
+      prisma.lead.count({ where }),
+    ]);
+
+    return { leads, total };
+  },
+
+  /**
+   * Assign a lead to a user
+   * @param {string} id - Lead ID
+   * @param {number} assignedToId - User ID
+   * @returns {Promise<Lead>}
+   */
+  async assign(id, assignedToId) {
+    return prisma.lead.update({
+      where: { id },
+      data: { assignedToId: parseInt(assignedToId) },
+      include: {
+        assignedTo: { select: PERSON_SELECT },
+        createdBy: { select: PERSON_SELECT },
+      },
+    });
+  },
+};
+
+export default Lead;
@@ -0,0 +1,154 @@
+import { prisma } from "../lib/prisma.js";
+
+// Reason recorded for forgot-password requests. They share this table so
+// they can be throttled the same way, but are not failed logins.
+const RESET_REQUEST_REASON = "reset_requested";
+
+// Failures that count toward the per-IP limit: wrong credentials only.
+// Refusals of correct credentials (outside allowed time, deactivated,
+// locked, throttled) would otherwise let one early login lock out a whole
+// office behind the same IP.
+const CREDENTIAL_FAILURE_REASONS = [
+  "invalid_password",
+  "unknown_email",
+  "invalid_2fa_code",
+];
+
+const failedLogin = {
+  success: false,
+  reason: { in: CREDENTIAL_FAILURE_REASONS },
+};
+
+/**
+ * LoginAttempt Model - Prisma-based
+ *
+ * Records every login attempt, and every forgot-password request, for
+ * brute-force protection and review.
+ */
+const LoginAttempt = {
+  /**
+   * Record a login attempt
+   * @param {Object} attemptData - Attempt data
+   * @returns {Promise<LoginAttempt>}
+   */
+  async record({ email, userId, ipAddress, userAgent, success, reason }) {
+    return prisma.loginAttempt.create({
+      data: {
+        email: String(email || "").slice(0, 255),
+        userId: userId ? parseInt(userId) : null,
+        ipAddress: ipAddress || null,
+        userAgent: userAgent || null,
+        success: !!success,
+        reason: reason || null,
+      },
+    });
+  },
+
+  /**
+   * Count credential failures from an IP address since a moment
+   * @param {string} ipAddress - Client IP address
+   * @param {Date} since - Start of the window
+   * @returns {Promise<number>}
+   */
+  async countFailuresByIp(ipAddress, since) {
+    if (!ipAddress) return 0;
+
+    return prisma.loginAttempt.count({
+      where: {
+        ipAddress,
+        ...failedLogin,
+        createdAt: { gte: since },
+      },
+    });
+  },
+
+  /**
+   * Find the oldest credential failure from an IP address since a moment
+   * @param {string} ipAddress - Client IP address
+   * @param {Date} since - Start of the window
+   * @returns {Promise<LoginAttempt|null>}
+   */
+  async findOldestFailureByIp(ipAddress, since) {
+    return prisma.loginAttempt.findFirst({
+      where: {
+        ipAddress,
+        ...failedLogin,
+        createdAt: { gte: since },
+      },
+      orderBy: { createdAt: "asc" },
+    });
+  },
+
+  /**
+   * Record a forgot-password request
+   * @param {Object} request - { email, userId?, ipAddress, userAgent }
+   * @returns {Promise<LoginAttempt>}
+   */
+  async recordResetRequest(request) {
+    return LoginAttempt.record({
+      ...request,
+      success: false,
+      reason: RESET_REQUEST_REASON,
+    });
+  },
+
+  /**
+   * Forgot-password requests for an email or from an IP address since a
+   * moment, oldest first
+   * @param {Object} filter - Exactly one of email or ipAddress
+   * @param {string} [filter.email]
+   * @param {string} [filter.ipAddress]
+   * @param {Date} since - Start of the window
+   * @returns {Promise<{count: number, oldest: LoginAttempt|null}>}
+   */
+  async findResetRequests({ email, ipAddress }, since) {
+    const where = {
+      ...(email !== undefined
+        ? { email: String(email).slice(0, 255) }
+        : { ipAddress }),
+      reason: RESET_REQUEST_REASON,
+      createdAt: { gte: since },
+    };
+
+    const [count, oldest] = await Promise.all([
+      prisma.loginAttempt.count({ where }),
+      prisma.loginAttempt.findFirst({ where, orderBy: { createdAt: "asc" } }),
+    ]);
+
+    return { count, oldest };
+  },
+
+  /**
+   * Find recent attempts for a user
+   * @param {number} userId - User ID
+   * @param {Object} options - Query options
+   * @returns {Promise<LoginAttempt[]>}
+   */
+  async findByUserId(userId, { limit = 20 } = {}) {
+    return prisma.loginAttempt.findMany({
+      where: { userId: parseInt(userId) },
+      orderBy: { createdAt: "desc" },
+      take: limit,
+    });
+  },
+
+  /**
+   * Delete old attempts (cleanup)
+   * @param {number} daysOld - Delete attempts older than this many days
+   * @returns {Promise<number>} Number of attempts deleted
+   */
+  async deleteOldAttempts(daysOld = 90) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+    const result = await prisma.loginAttempt.deleteMany({
+      where: {
+        createdAt: { lt: cutoffDate },
+      },
+    });
+
+    return result.count;
+  },
+};
+
+export default LoginAttempt;
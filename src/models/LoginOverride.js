@@ -0,0 +1,77 @@
+import { prisma } from "../lib/prisma.js";
+
+/**
+ * LoginOverride Model - Prisma-based
+ *
+ * Temporary grants letting a user login outside their schedule,
+ * e.g. approved overtime or work on a holiday.
+ */
+const LoginOverride = {
+  /**
+   * Find an override covering a moment
+   * @param {number} userId - User ID
+   * @param {Date} at - Moment to check
+   * @returns {Promise<LoginOverride|null>}
+   */
+  async findActive(userId, at = new Date()) {
+    return prisma.loginOverride.findFirst({
+      where: {
+        userId: parseInt(userId),
+        startsAt: { lte: at },
+        endsAt: { gte: at },
+      },
+      orderBy: { endsAt: "desc" },
+    });
+  },
+
+  /**
+   * List current and upcoming overrides for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<LoginOverride[]>}
+   */
+  async findUpcoming(userId) {
+    return prisma.loginOverride.findMany({
+      where: {
+        userId: parseInt(userId),
+        endsAt: { gte: new Date() },
+      },
+      orderBy: { startsAt: "asc" },
+      include: {
+        grantedBy: { select: { id: true, name: true } },
+      },
+    });
+  },
+
+  /**
+   * Grant an override
+   * @param {Object} overrideData - Override data
+   * @returns {Promise<LoginOverride>}
+   */
+  async create({ userId, startsAt, endsAt, reason, grantedById }) {
+    return prisma.loginOverride.create({
+      data: {
+        userId: parseInt(userId),
+        startsAt,
+        endsAt,
+        reason: reason || null,
+        grantedById: parseInt(grantedById),
+      },
+    });
+  },
+
+  /**
+   * Revoke an override
+   * @param {number} userId - User ID
+   * @param {number} id - Override ID
+   * @returns {Promise<boolean>} False if no such override for the user
+   */
+  async delete(userId, id) {
+    const result = await prisma.loginOverride.deleteMany({
+      where: { id: parseInt(id), userId: parseInt(userId) },
+    });
+
+    return result.count === 1;
+  },
+};
+
+export default LoginOverride;
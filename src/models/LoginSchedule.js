@@ -0,0 +1,63 @@
+import { prisma } from "../lib/prisma.js";
+import { normalizeTime } from "../lib/time.js";
+
+/**
+ * LoginSchedule Model - Prisma-based
+ *
+ * Per-weekday login windows. A user with no rows falls back to
+ * loginStartTime/loginEndTime on every day.
+ */
+const LoginSchedule = {
+  /**
+   * Get the weekly schedule for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<LoginSchedule[]>}
+   */
+  async findByUserId(userId) {
+    return prisma.loginSchedule.findMany({
+      where: { userId: parseInt(userId) },
+      orderBy: { weekday: "asc" },
+      select: { weekday: true, startTime: true, endTime: true },
+    });
+  },
+
+  /**
+   * Get the weekly schedules of several users
+   * @param {number[]} userIds - User IDs
+   * @returns {Promise<LoginSchedule[]>} Rows include userId
+   */
+  async findByUserIds(userIds) {
+    return prisma.loginSchedule.findMany({
+      where: { userId: { in: userIds.map((id) => parseInt(id)) } },
+      orderBy: [{ userId: "asc" }, { weekday: "asc" }],
+      select: { userId: true, weekday: true, startTime: true, endTime: true },
+    });
+  },
+
+  /**
+   * Replace the weekly schedule for a user
+   * @param {number} userId - User ID
+   * @param {Array<{weekday: number, startTime: string, endTime: string}>} days
+   *   Working days; weekdays left out are weekly offs. Empty clears the schedule.
+   * @returns {Promise<LoginSchedule[]>}
+   */
+  async replaceForUser(userId, days) {
+    await prisma.$transaction([
+      prisma.loginSchedule.deleteMany({
+        where: { userId: parseInt(userId) },
+      }),
+      prisma.loginSchedule.createMany({
+        data: days.map((day) => ({
+          userId: parseInt(userId),
+          weekday: parseInt(day.weekday),
+          startTime: normalizeTime(day.startTime),
+          endTime: normalizeTime(day.endTime),
+        })),
+      }),
+    ]);
+
+    return this.findByUserId(userId);
+  },
+};
+
+export default LoginSchedule;
@@ -1,4 +1,10 @@
 import {prisma} from "../lib/prisma.ts";
+import { getSessionConfig } from "../config/security.js";
+
+// lastSeenAt is written at most this often per session
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+const ACTIVE = { isValid: true, logoutTime: null };
 
 /**
  * LoginSession Model - Prisma-based
@@ -7,18 +13,30 @@ import {prisma} from "../lib/prisma.ts";
  */
 const LoginSession = {
   /**
-   * Create a new login session
+   * Create a new login session and record it as the user's last login
    * @param {Object} sessionData - Session data
    * @returns {Promise<LoginSession>}
    */
   async create({ userId, ipAddress, userAgent }) {
-    return prisma.loginSession.create({
-      data: {
-        userId: parseInt(userId),
-        ipAddress: ipAddress || null,
-        userAgent: userAgent || null,
-      },
-    });
+    const loginTime = new Date();
+
+    const [session] = await prisma.$transaction([
+      prisma.loginSession.create({
+        data: {
+          userId: parseInt(userId),
+          loginTime,
+          lastSeenAt: loginTime,
+          ipAddress: ipAddress || null,
+          userAgent: userAgent || null,
+        },
+      }),
+      prisma.user.update({
+        where: { id: parseInt(userId) },
+        data: { lastLoginAt: loginTime },
+      }),
+    ]);
+
+    return session;
   },
 
   /**
@@ -54,6 +72,48 @@ const LoginSession = {
     return { sessions, total };
   },
 
+  /**
+   * Find sessions started within a time range (attendance reports)
+   * @param {Object} options - Query options
+   * @param {number[]} options.userIds - Users to include
+   * @param {Date} options.start - Earliest login time (inclusive)
+   * @param {Date} options.end - Latest login time (exclusive)
+   * @returns {Promise<LoginSession[]>}
+   */
+  async findStartedBetween({ userIds, start, end }) {
+    return prisma.loginSession.findMany({
+      where: {
+        userId: { in: userIds.map((id) => parseInt(id)) },
+        loginTime: { gte: start, lt: end },
+      },
+      select: { userId: true, loginTime: true, logoutTime: true },
+      orderBy: { loginTime: "asc" },
+    });
+  },
+
+  /**
+   * IP addresses and user agents a user has logged in from recently
+   * @param {number} userId - User ID
+   * @param {Object} options - Query options
+   * @param {Date} options.since - Only sessions started after this moment
+   * @param {number} [options.excludeSessionId] - Session to leave out (the new one)
+   * @returns {Promise<Array<{ipAddress: string|null, userAgent: string|null}>>}
+   */
+  async findKnownClients(userId, { since, excludeSessionId } = {}) {
+    const where = {
+      userId: parseInt(userId),
+      loginTime: { gte: since },
+    };
+
+    if (excludeSessionId) where.id = { not: parseInt(excludeSessionId) };
+
+    return prisma.loginSession.findMany({
+      where,
+      distinct: ["ipAddress", "userAgent"],
+      select: { ipAddress: true, userAgent: true },
+    });
+  },
+
   /**
    * Get active sessions for a user
    * @param {number} userId - User ID
@@ -71,45 +131,195 @@ const LoginSession = {
   },
 
   /**
-   * End a session (logout)
-   * @param {number} userId - User ID
-   * @returns {Promise<LoginSession|null>}
+   * List currently active sessions across all users
+   * @param {Object} filters - Filter options
+   * @param {number} [filters.userId] - Only sessions of this user
+   * @param {string} [filters.role] - Only sessions of users with this role
+   * @returns {Promise<{sessions: LoginSession[], total: number}>}
+   */
+  async findAllActive({ userId, role, limit = 50, offset = 0 } = {}) {
+    const where = {
+      isValid: true,
+      logoutTime: null,
+    };
+
+    if (userId) where.userId = parseInt(userId);
+    if (role) where.user = { role };
+
+    const [sessions, total] = await Promise.all([
+      prisma.loginSession.findMany({
+        where,
+        include: {
+          user: {
+            select: { id: true, name: true, email: true, role: true },
+          },
+        },
+        orderBy: { loginTime: "desc" },
+        take: limit,
+        skip: offset,
+      }),
+      prisma.loginSession.count({ where }),
+    ]);
+
+    return { sessions, total };
+  },
+
+  /**
+   * Find a session that can still authenticate requests
+   * @param {number} id - Session ID
+   * @param {number} userId - User ID the token was issued to
+   * @returns {Promise<{id: number, userId: number, loginTime: Date, lastSeenAt: Date|null}|null>}
+   */
+  async findActive(id, userId) {
+    if (!id) return null;
+
+    const session = await prisma.loginSession.findUnique({
+      where: { id: parseInt(id) },
+      select: {
+        id: true,
+        userId: true,
+        loginTime: true,
+        lastSeenAt: true,
+        isValid: true,
+        logoutTime: true,
+      },
+    });
+
+    if (
+      !session ||
+      session.userId !== parseInt(userId) ||
+      !session.isValid ||
+      session.logoutTime !== null
+    ) {
+      return null;
+    }
+
+    return session;
+  },
+
+  /**
+   * Record activity on a session. Skipped when the last heartbeat is recent
+   * to avoid a write on every request.
+   * @param {Object} session - Session from findActive
+   * @param {Date} [now] - Time of the request
+   * @returns {Promise<void>}
+   */
+  async recordHeartbeat(session, now = new Date()) {
+    const sinceLastSeen = session.lastSeenAt ? now - session.lastSeenAt : null;
+    if (sinceLastSeen !== null && sinceLastSeen < HEARTBEAT_INTERVAL_MS) return;
+
+    await prisma.loginSession.updateMany({
+      where: { id: session.id, ...ACTIVE },
+      data: { lastSeenAt: now },
+    });
+  },
+
+  /**
+   * Close a session that has been idle longer than the configured timeout.
+   * Its logout time is the last moment it was seen, not now.
+   * @param {Object} session - Session with loginTime and lastSeenAt
+   * @param {Date} [now] - Current time
+   * @returns {Promise<boolean>} True if the session was idle and is now closed
+   */
+  async closeIfIdle(session, now = new Date()) {
+    const { idleTimeoutMinutes } = getSessionConfig();
+    if (!idleTimeoutMinutes) return false;
+
+    const lastSeen = session.lastSeenAt || session.loginTime;
+    if (now - lastSeen <= idleTimeoutMinutes * 60 * 1000) return false;
+
+    await this.endSession(session.id, { reason: "idle", endedAt: lastSeen });
+    return true;
+  },
+
+  /**
+   * Close every open session idle longer than the configured timeout
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Number of sessions closed
    */
-  async endSession(userId) {
-    // Find the most recent active session
-    const session = await prisma.loginSession.findFirst({
+  async closeIdleSessions(now = new Date()) {
+    const { idleTimeoutMinutes } = getSessionConfig();
+    if (!idleTimeoutMinutes) return 0;
+
+    const idleSince = new Date(now - idleTimeoutMinutes * 60 * 1000);
+    const sessions = await prisma.loginSession.findMany({
       where: {
-        userId: parseInt(userId),
-        logoutTime: null,
+        ...ACTIVE,
+        OR: [
+          { lastSeenAt: { lt: idleSince } },
+          { lastSeenAt: null, loginTime: { lt: idleSince } },
+        ],
       },
-      orderBy: { loginTime: "desc" },
+      select: { id: true, loginTime: true, lastSeenAt: true },
     });
 
-    if (!session) return null;
+    let closed = 0;
+    for (const session of sessions) {
+      if (await this.closeIfIdle(session, now)) closed += 1;
+    }
+
+    return closed;
+  },
+
+  /**
+   * End a session
+   * @param {number} id - Session ID
+   * @param {Object} options - End options
+   * @param {number} [options.userId] - Only end the session if it belongs to this user
+   * @param {string} [options.reason] - SessionEndReason: logout, idle, window_ended or revoked
+   * @param {Date} [options.endedAt] - Logout time to record (defaults to now)
+   * @returns {Promise<LoginSession|null>}
+   */
+  async endSession(
+    id,
+    { userId, reason = "revoked", endedAt = new Date() } = {}
+  ) {
+    const where = {
+      id: parseInt(id),
+      isValid: true,
+    };
 
-    return prisma.loginSession.update({
-      where: { id: session.id },
+    if (userId) where.userId = parseInt(userId);
+
+    const result = await prisma.loginSession.updateMany({
+      where,
       data: {
-        logoutTime: new Date(),
+        logoutTime: endedAt,
+        endReason: reason,
         isValid: false,
       },
     });
+
+    if (result.count === 0) return null;
+
+    return this.findById(id);
   },
 
   /**
    * Invalidate all sessions for a user
    * @param {number} userId - User ID
+   * @param {Object} options - Invalidation options
+   * @param {number} [options.exceptSessionId] - Session to keep (e.g. the caller's own)
+   * @param {string} [options.reason] - SessionEndReason recorded on each session
    * @returns {Promise<number>} Number of sessions invalidated
    */
-  async invalidateAllSessions(userId) {
+  async invalidateAllSessions(
+    userId,
+    { exceptSessionId, reason = "revoked" } = {}
+  ) {
+    const where = {
+      userId: parseInt(userId),
+      isValid: true,
+    };
+
+    if (exceptSessionId) where.id = { not: parseInt(exceptSessionId) };
+
     const result = await prisma.loginSession.updateMany({
-      where: {
-        userId: parseInt(userId),
-        isValid: true,
-      },
+      where,
       data: {
         isValid: false,
         logoutTime: new Date(),
+        endReason: reason,
       },
     });
 
@@ -0,0 +1,34 @@
+import { prisma } from "../lib/prisma.js";
+
+/**
+ * OrderSequence Model - Prisma-based
+ *
+ * Counters used to generate order and invoice numbers.
+ */
+const OrderSequence = {
+  /**
+   * Take the next value of a sequence, starting at 1.
+   * The upsert runs as a single statement that locks the row until the
+   * transaction commits, so concurrent callers never get the same value.
+   * Pass the caller's transaction to roll the value back with it; on its
+   * own, a value taken for a record that then fails to save is not reused.
+   * @param {string} key - Sequence key, e.g. "2025-10-19"
+   * @param {Object} [tx] - Interactive transaction client
+   * @returns {Promise<number>}
+   */
+  async next(key, tx) {
+    if (!tx) {
+      return prisma.$transaction((client) => OrderSequence.next(key, client));
+    }
+
+    await tx.$executeRaw`
+      INSERT INTO order_sequences (seq_key, value, updated_at)
+      VALUES (${key}, 1, NOW())
+      ON DUPLICATE KEY UPDATE value = value + 1, updated_at = NOW()`;
+
+    const row = await tx.orderSequence.findUnique({ where: { key } });
+    return row.value;
+  },
+};
+
+export default OrderSequence;
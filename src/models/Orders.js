@@ -1,6 +1,19 @@
 import { Prisma } from "../../generated/prisma/client.js";
 import { prisma } from "../lib/prisma.js";
 
+// Amounts computed by priceOrder() that are stored on the order
+const PRICED_FIELDS = [
+  "subtotal",
+  "taxableAmount",
+  "cgstAmount",
+  "sgstAmount",
+  "igstAmount",
+  "balanceDue",
+];
+
+const toDecimal = (value) =>
+  value === null || value === undefined ? null : new Prisma.Decimal(value);
+
 /**
  * Order Model - Prisma-based
  *
@@ -26,17 +39,33 @@ const Order = {
         statusLogs: {
           orderBy: { createdAt: "desc" },
         },
+        changeLogs: {
+          include: { changedBy: { select: { id: true, name: true } } },
+          orderBy: { createdAt: "desc" },
+        },
+        invoices: {
+          select: { id: true, type: true, invoiceNumber: true, issuedAt: true },
+        },
         rto: true,
       },
     });
   },
 
 /**
-   * Update order details
+   * Update order details, recording one change log row per changed field
    * @param {number} id
    * @param {object} updates
+   * @param {object} [options]
+   * @param {number} [options.changedById] - User making the change
+   * @param {(order: object) => object[]} [options.getDenials] - Checked
+   *   against the order as read inside the transaction; any denial aborts
+   *   the update
+   * @returns {Promise<{order: object, changes: object[]}|{denials: object[]}|{conflict: true}|null>}
+   *   Null when no editable field was given or the order does not exist;
+   *   conflict when the order's status changed or it was invoiced while
+   *   saving
    */
-  async update(id, updates) {
+  async update(id, updates, { changedById, getDenials } = {}) {
     // Allowed fields based on the Prisma 'Order' model
     const allowedFields = [
       "customerName",
@@ -56,7 +85,10 @@ const Order = {
       "liveLocation",
       "gstRate",
       "withGST",
-      "paymentStatus"
+      "paymentStatus",
+      // Computed pricing, see src/lib/orderPricing.js
+      ...PRICED_FIELDS,
+      "pricingMismatch",
     ];
 
     // Fields that require Prisma.Decimal conversion
@@ -64,7 +96,8 @@ const Order = {
       "totalAmount", 
       "discount", 
       "advance", 
-      "courierCharges"
+      "courierCharges",
+      ...PRICED_FIELDS,
     ];
 
     const data = {};
@@ -82,16 +115,68 @@ const Order = {
 
     if (Object.keys(data).length === 0) return null;
 
-    return prisma.order.update({
-      where: { id: parseInt(id) },
-      data,
-      // Include relations to keep frontend data consistent after update
-      include: {
-        items: true,
-        assignedTo: {
-          select: { id: true, name: true },
+    const orderId = parseInt(id);
+    const format = (value) => (value === null ? null : String(value));
+
+    return prisma.$transaction(async (tx) => {
+      const current = await tx.order.findUnique({
+        where: { id: orderId },
+        include: { invoices: { select: { type: true } } },
+      });
+      if (!current) return null;
+
+      const denials = getDenials ? getDenials(current) : [];
+      if (denials.length) return { denials };
+
+      // Decimals compare by value so "100" and "100.00" are not a change
+      const isUnchanged = (key, value) =>
+        decimalFields.includes(key) && value !== null && current[key] !== null
+          ? value.equals(current[key])
+          : format(value) === format(current[key]);
+
+      const changes = Object.entries(data)
+        .filter(([key, value]) => !isUnchanged(key, value))
+        .map(([key, value]) => ({
+          orderId,
+          changedById: changedById ? parseInt(changedById) : null,
+          field: key,
+          oldValue: format(current[key]),
+          newValue: format(value),
+        }));
+
+      if (changes.length) {
+        // Only write while the order is still in the status it was checked
+        // against, and not invoiced if it was not then; a transition or
+        // invoice committed since would skip its locks
+        const result = await tx.order.updateMany({
+          where: {
+            id: orderId,
+            status: current.status,
+            ...(current.invoices.length === 0 && {
+              invoices: { none: {} },
+            }),
+          },
+          data: Object.fromEntries(
+            changes.map((change) => [change.field, data[change.field]])
+          ),
+        });
+        if (result.count === 0) return { conflict: true };
+
+        await tx.orderChangeLog.createMany({ data: changes });
+      }
+
+      const order = await tx.order.findUnique({
+        where: { id: orderId },
+        // Include relations to keep frontend data consistent after update
+        include: {
+          items: true,
+          assignedTo: {
+            select: { id: true, name: true },
+          },
         },
-      },
+      });
+
+      return { order, changes };
     });
   },
 
@@ -110,11 +195,13 @@ const Order = {
 
   /**
    * Get all orders with filters
+   * @param {number[]} [assignedToIds] - Only orders assigned to one of these users
    */
   async findAll({
     status,
     paymentStatus,
     assignedToId,
+    assignedToIds,
     limit = 10,
     offset = 0,
   } = {}) {
@@ -122,6 +209,7 @@ const Order = {
 
     if (status) where.status = status;
     if (paymentStatus) where.paymentStatus = paymentStatus;
+    if (assignedToIds) where.assignedToId = { in: assignedToIds };
     if (assignedToId) where.assignedToId = parseInt(assignedToId);
 
     const [orders, total] = await Promise.all([
@@ -147,6 +235,11 @@ const Order = {
 
   /**
    * Create a new order
+   * @param {string} [status] - Initial status, Pending_Verification unless
+   *   the creator verified the order themselves
+   * @param {Object} [pricing] - Computed amounts from priceOrder()
+   * @param {boolean} [pricingMismatch] - totalAmount is a legacy total that
+   *   disagrees with pricing
    */
   async create({
     orderNumber,
@@ -163,6 +256,10 @@ const Order = {
     paymentType,
     discount,
     advance,
+    courierCharges,
+    pricing = {},
+    pricingMismatch = false,
+    status = "Pending_Verification",
     customerAlternatePhone,
     stateCode,
     deliveryPartner,
@@ -178,7 +275,7 @@ const Order = {
           customerEmail,
           shippingAddress,
           createdById,
-          status: "Pending",
+          status,
           paymentStatus: "pending",
           withGST,
           liveLocation,
@@ -187,6 +284,11 @@ const Order = {
           totalAmount: new Prisma.Decimal(totalAmount),
           discount: discount ? new Prisma.Decimal(discount) : null,
           advance: advance ? new Prisma.Decimal(advance) : null,
+          courierCharges: toDecimal(courierCharges),
+          ...Object.fromEntries(
+            PRICED_FIELDS.map((field) => [field, toDecimal(pricing[field])])
+          ),
+          pricingMismatch,
           stateCode,
           deliveryPartner,
           gstRate,
@@ -204,6 +306,7 @@ const Order = {
             price: item.price,
             weight: item.weight,
             weighingUnit: item.weighingUnit,
+            hsnCode: item.hsnCode || null,
           })),
         });
       }
@@ -211,7 +314,7 @@ const Order = {
       await tx.orderStatusLog.create({
         data: {
           orderId: order.id,
-          status: "Pending",
+          status,
           note: "Order created",
         },
       });
@@ -221,96 +324,100 @@ const Order = {
   },
 
   /**
-   * Assign order to employee
+   * Assign order to employee. Only succeeds while the order is still in
+   * `status`, so it cannot be assigned after being closed meanwhile.
+   * @param {number} orderId
+   * @param {number} assignedToId
+   * @param {string} status - Current status, recorded in the status log
+   * @returns {Promise<boolean>} False if the status changed
    */
-  async assign(orderId, assignedToId) {
-    return prisma.$transaction([
-      prisma.order.update({
-        where: { id: parseInt(orderId) },
+  async assign(orderId, assignedToId, status) {
+    const id = parseInt(orderId);
+
+    return prisma.$transaction(async (tx) => {
+      const result = await tx.order.updateMany({
+        where: { id, status },
         data: { assignedToId: parseInt(assignedToId) },
-      }),
-      prisma.orderStatusLog.create({
-        data: {
-          orderId: parseInt(orderId),
-          status: "Pending",
-          note: "Order assigned to employee",
-        },
-      }),
-    ]);
-  },
+      });
+      if (result.count === 0) return false;
 
-  /**
-   * Update order status
-   */
-  async updateStatus(orderId, status, note) {
-    return prisma.$transaction([
-      prisma.order.update({
-        where: { id: parseInt(orderId) },
-        data: { status },
-      }),
-      prisma.orderStatusLog.create({
+      await tx.orderStatusLog.create({
         data: {
-          orderId: parseInt(orderId),
+          orderId: id,
           status,
-          note: note || null,
+          note: "Order assigned to employee",
         },
-      }),
-    ]);
-  },
+      });
 
-  /**
-   * Mark order as delivered
-   */
-  async markDelivered(orderId) {
-    return this.updateStatus(orderId, "delivered", "Order delivered");
+      return true;
+    });
   },
 
   /**
-   * Initiate RTO
+   * Move an order along the status state machine (see
+   * src/config/orderStatus.js). Only succeeds while the order is still in
+   * `from`, so two users cannot both move it. Entering RTO records the RTO
+   * with the note as its reason.
+   * @param {number} orderId
+   * @param {Object} transition
+   * @param {string} transition.from - Status the caller saw
+   * @param {string} transition.to - New status
+   * @param {string} [transition.note]
+   * @returns {Promise<Order|null>} Null if the order is no longer in `from`
    */
-  async initiateRTO(orderId, reason) {
-    return prisma.$transaction([
-      prisma.order.update({
-        where: { id: parseInt(orderId) },
-        data: { status: "rto_initiated" },
-      }),
-      prisma.rTOOrder.create({
-        data: {
-          orderId: parseInt(orderId),
-          reason,
-        },
-      }),
-      prisma.orderStatusLog.create({
+  async updateStatus(orderId, { from, to, note }) {
+    const id = parseInt(orderId);
+
+    return prisma.$transaction(async (tx) => {
+      const result = await tx.order.updateMany({
+        where: { id, status: from },
+        data: { status: to },
+      });
+      if (result.count === 0) return null;
+
+      if (to === "RTO") {
+        await tx.rTOOrder.create({
+          data: { orderId: id, reason: note },
+        });
+      }
+
+      await tx.orderStatusLog.create({
         data: {
-          orderId: parseInt(orderId),
-          status: "rto_initiated",
-          note: reason,
+          orderId: id,
+          status: to,
+          note: note || null,
         },
-      }),
-    ]);
+      });
+
+      return tx.order.findUnique({ where: { id } });
+    });
   },
 
   /**
-   * Mark RTO as received
+   * Mark a returned order as received back at the origin
+   * @param {number} orderId
+   * @returns {Promise<boolean>} False if there is no RTO awaiting receipt
    */
   async markRTOReceived(orderId) {
-    return prisma.$transaction([
-      prisma.order.update({
-        where: { id: parseInt(orderId) },
-        data: { status: "rto_received" },
-      }),
-      prisma.rTOOrder.update({
-        where: { orderId: parseInt(orderId) },
+    const id = parseInt(orderId);
+
+    return prisma.$transaction(async (tx) => {
+      const result = await tx.rTOOrder.updateMany({
+        where: { orderId: id, receivedAt: null },
         data: { receivedAt: new Date() },
-      }),
-      prisma.orderStatusLog.create({
+      });
+      if (result.count === 0) return false;
+
+      await tx.orderStatusLog.create({
         data: {
-          orderId: parseInt(orderId),
-          status: "rto_received",
+          orderId: id,
+          status: "RTO",
           note: "RTO received",
         },
-      }),
-    ]);
+      });
+
+      return true;
+    });
   },
 
   /**
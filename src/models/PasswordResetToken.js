@@ -0,0 +1,75 @@
+import { prisma } from "../lib/prisma.js";
+import { generateToken, hashToken } from "../lib/tokens.js";
+
+/**
+ * PasswordResetToken Model - Prisma-based
+ *
+ * Single-use, expiring tokens for the self-service forgot-password flow.
+ */
+const PasswordResetToken = {
+  /**
+   * Issue a reset token, discarding any unused ones for the user
+   * @param {number} userId - User ID
+   * @param {Object} options - { ttlMinutes, ipAddress }
+   * @returns {Promise<{token: string, expiresAt: Date}>} Plain token (only returned once)
+   */
+  async issue(userId, { ttlMinutes, ipAddress } = {}) {
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+    await prisma.$transaction([
+      prisma.passwordResetToken.deleteMany({
+        where: { userId: parseInt(userId), usedAt: null },
+      }),
+      prisma.passwordResetToken.create({
+        data: {
+          userId: parseInt(userId),
+          tokenHash: hashToken(token),
+          expiresAt,
+          ipAddress: ipAddress || null,
+        },
+      }),
+    ]);
+
+    return { token, expiresAt };
+  },
+
+  /**
+   * Find an unused, unexpired reset token
+   * @param {string} token - Plain reset token
+   * @returns {Promise<PasswordResetToken|null>}
+   */
+  async findValid(token) {
+    if (!token) return null;
+
+    const stored = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    if (!stored || stored.usedAt || stored.expiresAt <= new Date()) {
+      return null;
+    }
+
+    return stored;
+  },
+
+  /**
+   * Mark a reset token as used
+   * @param {number} id - PasswordResetToken ID
+   * @returns {Promise<boolean>} False if it was used or expired meanwhile
+   */
+  async consume(id) {
+    const result = await prisma.passwordResetToken.updateMany({
+      where: {
+        id: parseInt(id),
+        usedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      data: { usedAt: new Date() },
+    });
+
+    return result.count === 1;
+  },
+};
+
+export default PasswordResetToken;
@@ -0,0 +1,76 @@
+import { prisma } from "../lib/prisma.js";
+import {
+  generateRefreshToken,
+  hashToken,
+  refreshTokenTtl,
+} from "../lib/tokens.js";
+
+/**
+ * RefreshToken Model - Prisma-based
+ *
+ * Rotating refresh tokens belonging to a LoginSession. Every refresh consumes
+ * the presented token and issues a new one for the same session.
+ */
+const RefreshToken = {
+  /**
+   * Issue a new refresh token for a session
+   * @param {number} sessionId - LoginSession ID
+   * @returns {Promise<{token: string, expiresAt: Date}>} Plain token (only returned once)
+   */
+  async issue(sessionId) {
+    const token = generateRefreshToken();
+    const expiresAt = new Date(Date.now() + refreshTokenTtl());
+
+    await prisma.refreshToken.create({
+      data: {
+        sessionId: parseInt(sessionId),
+        tokenHash: hashToken(token),
+        expiresAt,
+      },
+    });
+
+    return { token, expiresAt };
+  },
+
+  /**
+   * Find a refresh token by its plain value
+   * @param {string} token - Plain refresh token
+   * @returns {Promise<RefreshToken|null>} Token with its session
+   */
+  async findByToken(token) {
+    if (!token) return null;
+
+    return prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { session: true },
+    });
+  },
+
+  /**
+   * Mark a refresh token as used
+   * @param {number} id - RefreshToken ID
+   * @returns {Promise<boolean>} False if the token had already been used
+   */
+  async consume(id) {
+    const result = await prisma.refreshToken.updateMany({
+      where: { id: parseInt(id), usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    return result.count === 1;
+  },
+
+  /**
+   * Delete expired refresh tokens (cleanup)
+   * @returns {Promise<number>} Number of tokens deleted
+   */
+  async deleteExpired() {
+    const result = await prisma.refreshToken.deleteMany({
+      where: { expiresAt: { lt: new Date() } },
+    });
+
+    return result.count;
+  },
+};
+
+export default RefreshToken;
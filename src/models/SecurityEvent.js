@@ -0,0 +1,110 @@
+import { prisma } from "../lib/prisma.js";
+
+/**
+ * SecurityEvent Model - Prisma-based
+ *
+ * Suspicious login activity (new IP or device, concurrent sessions from
+ * different IPs, logins outside the allowed window) kept for admin review.
+ */
+const SecurityEvent = {
+  /**
+   * Record a security event
+   * @param {Object} eventData - Event data
+   * @param {string} eventData.type - SecurityEventType
+   * @param {Object} [eventData.details] - Extra context, stored as JSON
+   * @returns {Promise<SecurityEvent>}
+   */
+  async record({ type, userId, sessionId, ipAddress, userAgent, details }) {
+    return prisma.securityEvent.create({
+      data: {
+        type,
+        userId: userId ? parseInt(userId) : null,
+        sessionId: sessionId ? parseInt(sessionId) : null,
+        ipAddress: ipAddress || null,
+        userAgent: userAgent || null,
+        details: details ?? undefined,
+      },
+    });
+  },
+
+  /**
+   * List security events, newest first
+   * @param {Object} filters - Filter options
+   * @param {boolean} [filters.acknowledged] - Only acknowledged (or open) events
+   * @returns {Promise<{events: SecurityEvent[], total: number}>}
+   */
+  async findAll({
+    type,
+    userId,
+    acknowledged,
+    from,
+    to,
+    limit = 20,
+    offset = 0,
+  } = {}) {
+    const where = {};
+
+    if (type) where.type = type;
+    if (userId) where.userId = parseInt(userId);
+    if (acknowledged !== undefined) {
+      where.acknowledgedAt = acknowledged ? { not: null } : null;
+    }
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      prisma.securityEvent.findMany({
+        where,
+        include: {
+          user: { select: { id: true, name: true, email: true, role: true } },
+          acknowledgedBy: { select: { id: true, name: true } },
+        },
+        orderBy: { createdAt: "desc" },
+        take: limit,
+        skip: offset,
+      }),
+      prisma.securityEvent.count({ where }),
+    ]);
+
+    return { events, total };
+  },
+
+  /**
+   * Count events nobody has acknowledged yet
+   * @returns {Promise<number>}
+   */
+  async countUnacknowledged() {
+    return prisma.securityEvent.count({
+      where: { acknowledgedAt: null },
+    });
+  },
+
+  /**
+   * Mark an event as reviewed
+   * @param {number} id - Event ID
+   * @param {number} acknowledgedById - Admin acknowledging it
+   * @param {string} [note] - Review note
+   * @returns {Promise<SecurityEvent|null>} Null if not found or already acknowledged
+   */
+  async acknowledge(id, acknowledgedById, note) {
+    const result = await prisma.securityEvent.updateMany({
+      where: { id: parseInt(id), acknowledgedAt: null },
+      data: {
+        acknowledgedAt: new Date(),
+        acknowledgedById: parseInt(acknowledgedById),
+        note: note || null,
+      },
+    });
+
+    if (result.count === 0) return null;
+
+    return prisma.securityEvent.findUnique({
+      where: { id: parseInt(id) },
+    });
+  },
+};
+
+export default SecurityEvent;
@@ -0,0 +1,59 @@
+import { prisma } from "../lib/prisma.js";
+import { SETTINGS } from "../config/settings.js";
+
+/**
+ * Setting Model - Prisma-based
+ *
+ * Organisation-wide settings declared in config/settings.js.
+ */
+const Setting = {
+  /**
+   * Get a setting value (or its default)
+   * @param {string} key - Setting key
+   * @returns {Promise<any>}
+   */
+  async get(key) {
+    const row = await prisma.setting.findUnique({ where: { key } });
+    return row ? row.value : SETTINGS[key]?.default;
+  },
+
+  /**
+   * Get every declared setting with its current value
+   * @returns {Promise<Object>} Keyed by setting name
+   */
+  async getAll() {
+    const rows = await prisma.setting.findMany({
+      where: { key: { in: Object.keys(SETTINGS) } },
+    });
+    const stored = Object.fromEntries(rows.map((row) => [row.key, row]));
+
+    return Object.fromEntries(
+      Object.entries(SETTINGS).map(([key, definition]) => [
+        key,
+        {
+          value: stored[key] ? stored[key].value : definition.default,
+          default: definition.default,
+          description: definition.description,
+          updatedAt: stored[key]?.updatedAt || null,
+        },
+      ])
+    );
+  },
+
+  /**
+   * Set a setting value
+   * @param {string} key - Setting key
+   * @param {any} value - JSON-serialisable value
+   * @param {number} updatedById - User making the change
+   * @returns {Promise<Setting>}
+   */
+  async set(key, value, updatedById) {
+    return prisma.setting.upsert({
+      where: { key },
+      create: { key, value, updatedById: parseInt(updatedById) },
+      update: { value, updatedById: parseInt(updatedById) },
+    });
+  },
+};
+
+export default Setting;
@@ -0,0 +1,195 @@
+import { prisma } from "../lib/prisma.js";
+
+const MEMBER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  isActive: true,
+};
+
+/**
+ * Team Model - Prisma-based
+ *
+ * Teams group users under a supervisor. A user belongs to at most one team;
+ * a supervisor may lead several teams and need not be a member of them.
+ */
+const Team = {
+  /**
+   * List all teams with their supervisor and member count
+   * @returns {Promise<Team[]>}
+   */
+  async findAll() {
+    return prisma.team.findMany({
+      include: {
+        supervisor: { select: MEMBER_SELECT },
+        _count: { select: { members: true } },
+      },
+      orderBy: { name: "asc" },
+    });
+  },
+
+  /**
+   * Find a team with its supervisor and members
+   * @param {number} id - Team ID
+   * @returns {Promise<Team|null>}
+   */
+  async findById(id) {
+    return prisma.team.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        supervisor: { select: MEMBER_SELECT },
+        members: { select: MEMBER_SELECT, orderBy: { name: "asc" } },
+      },
+    });
+  },
+
+  /**
+   * Teams led by a supervisor, with their members
+   * @param {number} supervisorId - Supervisor user ID
+   * @returns {Promise<Team[]>}
+   */
+  async findBySupervisor(supervisorId) {
+    return prisma.team.findMany({
+      where: { supervisorId: parseInt(supervisorId) },
+      include: {
+        members: { select: MEMBER_SELECT, orderBy: { name: "asc" } },
+      },
+      orderBy: { name: "asc" },
+    });
+  },
+
+  /**
+   * IDs of every member of the teams a user supervises
+   * @param {number} supervisorId - Supervisor user ID
+   * @returns {Promise<number[]>}
+   */
+  async getSupervisedMemberIds(supervisorId) {
+    const members = await prisma.user.findMany({
+      where: { team: { supervisorId: parseInt(supervisorId) } },
+      select: { id: true },
+    });
+
+    return members.map((member) => member.id);
+  },
+
+  /**
+   * Create a team
+   * @param {Object} teamData - { name, supervisorId }
+   * @returns {Promise<Team>}
+   */
+  async create({ name, supervisorId }) {
+    return prisma.team.create({
+      data: {
+        name,
+        supervisorId: supervisorId ? parseInt(supervisorId) : null,
+      },
+    });
+  },
+
+  /**
+   * Update a team's name or supervisor
+   * @param {number} id - Team ID
+   * @param {Object} updates - { name, supervisorId }
+   * @returns {Promise<Team|null>}
+   */
+  async update(id, { name, supervisorId }) {
+    const data = {};
+    if (name !== undefined) data.name = name;
+    if (supervisorId !== undefined) {
+      data.supervisorId = supervisorId ? parseInt(supervisorId) : null;
+    }
+
+    try {
+      return await prisma.team.update({
+        where: { id: parseInt(id) },
+        data,
+      });
+    } catch (error) {
+      if (error.code === "P2025") return null;
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a team. Its members are left without a team.
+   * @param {number} id - Team ID
+   * @returns {Promise<Team|null>}
+   */
+  async delete(id) {
+    try {
+      return await prisma.team.delete({
+        where: { id: parseInt(id) },
+      });
+    } catch (error) {
+      if (error.code === "P2025") return null;
+      throw error;
+    }
+  },
+
+  /**
+   * Move users into a team (from any team they were in)
+   * @param {number} id - Team ID
+   * @param {number[]} userIds - Users to add
+   * @returns {Promise<number>} Number of users moved
+   */
+  async addMembers(id, userIds) {
+    const result = await prisma.user.updateMany({
+      where: { id: { in: userIds.map((userId) => parseInt(userId)) } },
+      data: { teamId: parseInt(id) },
+    });
+
+    return result.count;
+  },
+
+  /**
+   * Remove a user from a team
+   * @param {number} id - Team ID
+   * @param {number} userId - Member to remove
+   * @returns {Promise<boolean>} False if the user was not a member
+   */
+  async removeMember(id, userId) {
+    const result = await prisma.user.updateMany({
+      where: { id: parseInt(userId), teamId: parseInt(id) },
+      data: { teamId: null },
+    });
+
+    return result.count === 1;
+  },
+
+  /**
+   * Orders by status and lead counts for each team member
+   * @param {number[]} memberIds - Team member IDs
+   * @param {Object} range - Optional createdAt range
+   * @param {Date} [range.from]
+   * @param {Date} [range.to]
+   * @returns {Promise<{orders: Object[], leads: Object[]}>} Prisma groupBy rows
+   */
+  async getWorkload(memberIds, { from, to } = {}) {
+    const createdAt = {};
+    if (from) createdAt.gte = from;
+    if (to) createdAt.lte = to;
+
+    const where = {
+      assignedToId: { in: memberIds },
+      ...(from || to ? { createdAt } : {}),
+    };
+
+    const [orders, leads] = await Promise.all([
+      prisma.order.groupBy({
+        by: ["assignedToId", "status"],
+        where,
+        _count: { _all: true },
+      }),
+      prisma.lead.groupBy({
+        by: ["assignedToId"],
+        where,
+        _count: { _all: true },
+      }),
+    ]);
+
+    return { orders, leads };
+  },
+};
+
+export default Team;
@@ -0,0 +1,89 @@
+import crypto from "crypto";
+import { prisma } from "../lib/prisma.js";
+import { hashToken } from "../lib/tokens.js";
+
+const BACKUP_CODE_COUNT = 10;
+
+// Codes are shown as xxxx-xxxx; compare them without the dash or case
+const normalizeCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
+
+/**
+ * TwoFactorBackupCode Model - Prisma-based
+ *
+ * Single-use recovery codes for users who lose their authenticator.
+ */
+const TwoFactorBackupCode = {
+  /**
+   * Replace a user's backup codes with a fresh set
+   * @param {number} userId - User ID
+   * @returns {Promise<string[]>} Plain codes (only returned once)
+   */
+  async regenerate(userId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(4).toString("hex");
+      return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+
+    await prisma.$transaction([
+      prisma.twoFactorBackupCode.deleteMany({
+        where: { userId: parseInt(userId) },
+      }),
+      prisma.twoFactorBackupCode.createMany({
+        data: codes.map((code) => ({
+          userId: parseInt(userId),
+          codeHash: hashToken(normalizeCode(code)),
+        })),
+      }),
+    ]);
+
+    return codes;
+  },
+
+  /**
+   * Use a backup code
+   * @param {number} userId - User ID
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<boolean>} False if unknown or already used
+   */
+  async consume(userId, code) {
+    const result = await prisma.twoFactorBackupCode.updateMany({
+      where: {
+        userId: parseInt(userId),
+        codeHash: hashToken(normalizeCode(code)),
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+
+    return result.count > 0;
+  },
+
+  /**
+   * Count unused backup codes
+   * @param {number} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countRemaining(userId) {
+    return prisma.twoFactorBackupCode.count({
+      where: { userId: parseInt(userId), usedAt: null },
+    });
+  },
+
+  /**
+   * Delete all backup codes for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of codes deleted
+   */
+  async deleteForUser(userId) {
+    const result = await prisma.twoFactorBackupCode.deleteMany({
+      where: { userId: parseInt(userId) },
+    });
+
+    return result.count;
+  },
+};
+
+export default TwoFactorBackupCode;
@@ -1,5 +1,7 @@
 import {prisma} from "../lib/prisma.ts";
 import bcrypt from "bcryptjs";
+import { getPasswordPolicy } from "../config/passwordPolicy.js";
+import { CLOSED_ORDER_STATUSES } from "../config/orderStatus.js";
 
 /**
  * User Model - Prisma-based
@@ -21,10 +23,16 @@ const User = {
         name: true,
         email: true,
         phone: true,
+        alternatePhone: true,
+        alternateEmail: true,
         role: true,
         loginStartTime: true,
         loginEndTime: true,
+        timezone: true,
         isActive: true,
+        lastLoginAt: true,
+        twoFactorEnabled: true,
+        mustChangePassword: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -42,16 +50,60 @@ const User = {
     });
   },
 
+  /**
+   * Find user by ID including credentials and 2FA secrets (auth only)
+   * @param {number} id - User ID
+   * @returns {Promise<User|null>}
+   */
+  async findAuthById(id) {
+    return prisma.user.findUnique({
+      where: { id: parseInt(id) },
+    });
+  },
+
   /**
    * Find all users with optional filters
    * @param {Object} options - Query options
+   * @param {string} [options.search] - Matches name, email or phone
+   * @param {boolean} [options.hasActiveSession] - Only users with (or without) an active session
+   * @param {string} [options.sortBy] - "name", "lastLogin" or "createdAt"
+   * @param {string} [options.order] - "asc" or "desc"
+   * @param {number|null} [options.limit] - Page size; null returns every user
    * @returns {Promise<{users: User[], total: number}>}
    */
-  async findAll({ role, isActive, limit = 10, offset = 0 } = {}) {
+  async findAll({
+    role,
+    isActive,
+    search,
+    hasActiveSession,
+    sortBy = "createdAt",
+    order = "desc",
+    limit = 10,
+    offset = 0,
+  } = {}) {
     const where = {};
+    const activeSession = { isValid: true, logoutTime: null };
 
     if (role) where.role = role;
     if (isActive !== undefined) where.isActive = isActive;
+    if (search) {
+      where.OR = [
+        { name: { contains: search } },
+        { email: { contains: search } },
+        { phone: { contains: search } },
+      ];
+    }
+    if (hasActiveSession !== undefined) {
+      where.loginSessions = hasActiveSession
+        ? { some: activeSession }
+        : { none: activeSession };
+    }
+
+    const orderBy = {
+      name: { name: order },
+      lastLogin: { lastLoginAt: { sort: order, nulls: "last" } },
+      createdAt: { createdAt: order },
+    }[sortBy];
 
     const [users, total] = await Promise.all([
       prisma.user.findMany({
@@ -64,23 +116,35 @@ const User = {
           role: true,
           loginStartTime: true,
           loginEndTime: true,
+          timezone: true,
           isActive: true,
+          lastLoginAt: true,
           createdAt: true,
           updatedAt: true,
+          _count: {
+            select: { loginSessions: { where: activeSession } },
+          },
         },
-        orderBy: { createdAt: "desc" },
-        take: limit,
+        orderBy: [orderBy, { id: "asc" }],
+        take: limit ?? undefined, // null returns every user
         skip: offset,
       }),
       prisma.user.count({ where }),
     ]);
 
-    return { users, total };
+    return {
+      users: users.map(({ _count, ...user }) => ({
+        ...user,
+        activeSessions: _count.loginSessions,
+      })),
+      total,
+    };
   },
 
   /**
    * Create a new user
-   * @param {Object} userData - User data
+   * @param {Object} userData - User data. mustChangePassword defaults to true
+   *   because users are created by admins with a password they chose.
    * @returns {Promise<User>}
    */
   async create({
@@ -91,6 +155,8 @@ const User = {
     role = "employee",
     loginStartTime,
     loginEndTime,
+    timezone,
+    mustChangePassword = true,
   }) {
     const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
@@ -104,6 +170,9 @@ const User = {
         role,
         loginStartTime: loginStartTime || null,
         loginEndTime: loginEndTime || null,
+        timezone: timezone || null,
+        mustChangePassword,
+        passwordChangedAt: new Date(),
       },
       select: {
         id: true,
@@ -113,6 +182,7 @@ const User = {
         role: true,
         loginStartTime: true,
         loginEndTime: true,
+        timezone: true,
         isActive: true,
         createdAt: true,
         updatedAt: true,
@@ -131,9 +201,12 @@ const User = {
     const allowedFields = [
       "name",
       "phone",
+      "alternatePhone",
+      "alternateEmail",
       "role",
       "loginStartTime",
       "loginEndTime",
+      "timezone",
       "isActive",
     ];
     const data = {};
@@ -154,9 +227,12 @@ const User = {
         name: true,
         email: true,
         phone: true,
+        alternatePhone: true,
+        alternateEmail: true,
         role: true,
         loginStartTime: true,
         loginEndTime: true,
+        timezone: true,
         isActive: true,
         createdAt: true,
         updatedAt: true,
@@ -165,23 +241,92 @@ const User = {
   },
 
   /**
-   * Update user password
+   * Update user password, keeping the previous one in the password history
    * @param {number} id - User ID
    * @param {string} newPassword - New plain text password
+   * @param {Object} [options]
+   * @param {boolean} [options.mustChangePassword] - Force a change at next
+   *   login (set when an admin chooses the password)
    * @returns {Promise<boolean>}
    */
-  async updatePassword(id, newPassword) {
+  async updatePassword(id, newPassword, { mustChangePassword = false } = {}) {
     const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
     const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    const { historyCount } = getPasswordPolicy();
+    const userId = parseInt(id);
 
-    await prisma.user.update({
-      where: { id: parseInt(id) },
-      data: { password: hashedPassword },
+    await prisma.$transaction(async (tx) => {
+      const current = await tx.user.findUnique({
+        where: { id: userId },
+        select: { password: true },
+      });
+
+      // The current password counts as one of the last N
+      if (current && historyCount > 1) {
+        await tx.passwordHistory.create({
+          data: { userId, passwordHash: current.password },
+        });
+      }
+
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          password: hashedPassword,
+          mustChangePassword,
+          passwordChangedAt: new Date(),
+        },
+      });
+
+      const stale = await tx.passwordHistory.findMany({
+        where: { userId },
+        orderBy: { id: "desc" },
+        skip: Math.max(historyCount - 1, 0),
+        select: { id: true },
+      });
+      if (stale.length) {
+        await tx.passwordHistory.deleteMany({
+          where: { id: { in: stale.map((row) => row.id) } },
+        });
+      }
     });
 
     return true;
   },
 
+  /**
+   * Check a password against the current one and the password history
+   * @param {number} id - User ID
+   * @param {string} plainPassword - Candidate password
+   * @returns {Promise<boolean>} True if it is one of the last N passwords
+   */
+  async isPasswordReused(id, plainPassword) {
+    const { historyCount } = getPasswordPolicy();
+    if (historyCount < 1) return false;
+
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+      select: {
+        password: true,
+        passwordHistory: {
+          orderBy: { id: "desc" },
+          take: historyCount - 1,
+          select: { passwordHash: true },
+        },
+      },
+    });
+    if (!user) return false;
+
+    const hashes = [
+      user.password,
+      ...user.passwordHistory.map((entry) => entry.passwordHash),
+    ];
+    for (const hash of hashes) {
+      if (await bcrypt.compare(plainPassword, hash)) return true;
+    }
+
+    return false;
+  },
+
   /**
    * Verify user password
    * @param {string} plainPassword - Plain text password
@@ -193,20 +338,266 @@ const User = {
   },
 
   /**
-   * Delete a user
+   * Record a failed login, locking the account once the limit is reached
+   * @param {number} id - User ID
+   * @param {Object} options - { maxAttempts, lockoutMinutes }
+   * @returns {Promise<{failedLoginCount: number, lockedUntil: Date|null}>}
+   */
+  async registerFailedLogin(id, { maxAttempts, lockoutMinutes }) {
+    const user = await prisma.user.update({
+      where: { id: parseInt(id) },
+      data: {
+        failedLoginCount: { increment: 1 },
+        lastFailedLoginAt: new Date(),
+      },
+      select: { failedLoginCount: true, lockedUntil: true },
+    });
+
+    if (user.failedLoginCount < maxAttempts) return user;
+
+    // Lock and start counting afresh once the lock expires
+    return prisma.user.update({
+      where: { id: parseInt(id) },
+      data: {
+        failedLoginCount: 0,
+        lockedUntil: new Date(Date.now() + lockoutMinutes * 60 * 1000),
+      },
+      select: { failedLoginCount: true, lockedUntil: true },
+    });
+  },
+
+  /**
+   * Get lockout state for a user
    * @param {number} id - User ID
-   * @returns {Promise<{id: number, email: string}|null>}
+   * @returns {Promise<{failedLoginCount: number, lastFailedLoginAt: Date|null, lockedUntil: Date|null}|null>}
    */
-  async delete(id) {
-    try {
-      return await prisma.user.delete({
-        where: { id: parseInt(id) },
-        select: { id: true, email: true },
+  async getLockout(id) {
+    return prisma.user.findUnique({
+      where: { id: parseInt(id) },
+      select: {
+        failedLoginCount: true,
+        lastFailedLoginAt: true,
+        lockedUntil: true,
+      },
+    });
+  },
+
+  /**
+   * Clear failed login counter and any lockout
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>}
+   */
+  async clearLockout(id) {
+    await prisma.user.update({
+      where: { id: parseInt(id) },
+      data: {
+        failedLoginCount: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null,
+      },
+    });
+
+    return true;
+  },
+
+  /**
+   * Store a pending TOTP secret (2FA stays disabled until verified)
+   * @param {number} id - User ID
+   * @param {string} secret - Base32 secret
+   * @returns {Promise<boolean>}
+   */
+  async setPendingTwoFactorSecret(id, secret) {
+    await prisma.user.update({
+      where: { id: parseInt(id) },
+      data: { twoFactorSecret: secret, twoFactorLastStep: null },
+    });
+
+    return true;
+  },
+
+  /**
+   * Enable 2FA with the stored secret
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>}
+   */
+  async enableTwoFactor(id) {
+    await prisma.user.update({
+      where: { id: parseInt(id) },
+      data: { twoFactorEnabled: true },
+    });
+
+    return true;
+  },
+
+  /**
+   * Remember the last accepted TOTP step so the same code cannot be reused
+   * @param {number} id - User ID
+   * @param {number} step - Accepted time step
+   * @returns {Promise<boolean>} False if a later step was already accepted
+   */
+  async markTwoFactorStepUsed(id, step) {
+    const result = await prisma.user.updateMany({
+      where: {
+        id: parseInt(id),
+        OR: [
+          { twoFactorLastStep: null },
+          { twoFactorLastStep: { lt: step } },
+        ],
+      },
+      data: { twoFactorLastStep: step },
+    });
+
+    return result.count === 1;
+  },
+
+  /**
+   * Disable 2FA and forget the secret
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>}
+   */
+  async disableTwoFactor(id) {
+    await prisma.user.update({
+      where: { id: parseInt(id) },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+      },
+    });
+
+    return true;
+  },
+
+  /**
+   * Find active users, e.g. to receive reassigned work
+   * @param {Object} filters - Filter options
+   * @param {number[]} [filters.ids] - Only these user IDs
+   * @param {string} [filters.role] - Only users with this role
+   * @param {number} [filters.excludeId] - User to leave out
+   * @returns {Promise<Object[]>}
+   */
+  async findActive({ ids, role, excludeId } = {}) {
+    const where = { isActive: true };
+
+    if (ids) where.id = { in: ids.map((id) => parseInt(id)) };
+    if (role) where.role = role;
+    if (excludeId) where.NOT = { id: parseInt(excludeId) };
+
+    return prisma.user.findMany({
+      where,
+      select: { id: true, name: true, email: true, role: true },
+      orderBy: { id: "asc" },
+    });
+  },
+
+  /**
+   * Users that currently have at least one open login session, with the
+   * fields needed to re-check their account access
+   * @returns {Promise<Object[]>}
+   */
+  async findWithActiveSessions() {
+    return prisma.user.findMany({
+      where: {
+        loginSessions: { some: { isValid: true, logoutTime: null } },
+      },
+      select: {
+        id: true,
+        role: true,
+        isActive: true,
+        loginStartTime: true,
+        loginEndTime: true,
+        timezone: true,
+      },
+    });
+  },
+
+  /**
+   * Open orders and leads currently assigned to a user
+   * @param {number} id - User ID
+   * @returns {Promise<{orders: Object[], leads: Object[]}>}
+   */
+  async getOpenAssignments(id) {
+    const [orders, leads] = await Promise.all([
+      prisma.order.findMany({
+        where: {
+          assignedToId: parseInt(id),
+          status: { notIn: CLOSED_ORDER_STATUSES },
+        },
+        select: { id: true, orderNumber: true, status: true },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.lead.findMany({
+        where: { assignedToId: parseInt(id) },
+        select: { id: true, customerName: true, customerPhone: true },
+        orderBy: { createdAt: "asc" },
+      }),
+    ]);
+
+    return { orders, leads };
+  },
+
+  /**
+   * Offboard a user: deactivate, end all sessions and hand their open
+   * work to other users. Login history and created records are kept.
+   * @param {number} id - User ID
+   * @param {Object} plan - Reassignment plan
+   * @param {Array<{id: number, status: string, assignedToId: number}>} [plan.orders]
+   * @param {Array<{id: string, assignedToId: number}>} [plan.leads]
+   * @returns {Promise<{revokedSessions: number, orders: number, leads: number}>}
+   */
+  async offboard(id, { orders = [], leads = [] } = {}) {
+    const userId = parseInt(id);
+
+    return prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: userId },
+        data: { isActive: false },
       });
-    } catch (error) {
-      if (error.code === "P2025") return null; // Record not found
-      throw error;
-    }
+
+      const sessions = await tx.loginSession.updateMany({
+        where: { userId, isValid: true },
+        data: {
+          isValid: false,
+          logoutTime: new Date(),
+          endReason: "revoked",
+        },
+      });
+
+      // Only move rows still assigned to this user, in case they changed
+      // between the preview and the commit
+      let movedOrders = 0;
+      for (const order of orders) {
+        const result = await tx.order.updateMany({
+          where: { id: order.id, assignedToId: userId },
+          data: { assignedToId: order.assignedToId },
+        });
+        if (result.count === 0) continue;
+
+        movedOrders += 1;
+        await tx.orderStatusLog.create({
+          data: {
+            orderId: order.id,
+            status: order.status,
+            note: `Reassigned from user ${userId} to user ${order.assignedToId} (offboarding)`,
+          },
+        });
+      }
+
+      let movedLeads = 0;
+      for (const lead of leads) {
+        const result = await tx.lead.updateMany({
+          where: { id: lead.id, assignedToId: userId },
+          data: { assignedToId: lead.assignedToId },
+        });
+        movedLeads += result.count;
+      }
+
+      return {
+        revokedSessions: sessions.count,
+        orders: movedOrders,
+        leads: movedLeads,
+      };
+    }, { timeout: 30000 });
   },
 
   /**
@@ -6,8 +6,36 @@
 
 import User from "./User.js";
 import LoginSession from "./LoginSession.js";
+import RefreshToken from "./RefreshToken.js";
+import LoginSchedule from "./LoginSchedule.js";
+import Holiday from "./Holiday.js";
+import LoginOverride from "./LoginOverride.js";
+import LoginAttempt from "./LoginAttempt.js";
+import PasswordResetToken from "./PasswordResetToken.js";
+import TwoFactorBackupCode from "./TwoFactorBackupCode.js";
+import Setting from "./Setting.js";
+import SecurityEvent from "./SecurityEvent.js";
+import Team from "./Team.js";
+import Lead from "./Lead.js";
+import AuditLog from "./AuditLog.js";
+import OrderSequence from "./OrderSequence.js";
+import Invoice from "./Invoice.js";
 
 export {
   User,
   LoginSession,
+  RefreshToken,
+  LoginSchedule,
+  Holiday,
+  LoginOverride,
+  LoginAttempt,
+  PasswordResetToken,
+  TwoFactorBackupCode,
+  Setting,
+  SecurityEvent,
+  Team,
+  Lead,
+  AuditLog,
+  OrderSequence,
+  Invoice,
 };
@@ -0,0 +1,18 @@
+import express from "express";
+import auditController from "../controllers/auditController.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorize.js";
+import { auditQueryValidation } from "../middleware/validators.js";
+
+const router = express.Router();
+
+router.use(authenticateToken, authorize("audit:view"));
+
+/**
+ * @route   GET /api/audit
+ * @desc    List admin actions (?actorId=&impersonatedUserId=&action=&entityType=&entityId=&from=&to=)
+ * @access  Private (audit:view)
+ */
+router.get("/", auditQueryValidation, auditController.getAuditLog);
+
+export default router;
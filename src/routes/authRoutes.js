@@ -3,31 +3,96 @@ const router = express.Router();
 
 // Changed: Use default import for authController
 import authController from "../controllers/authController.js";
+import twoFactorController from "../controllers/twoFactorController.js";
+import sessionController from "../controllers/sessionController.js";
 
 // Changed: Use named imports for middleware to match the 'export { ... }' in auth.js
-import { authenticateToken, isAdmin } from "../middleware/auth.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorize.js";
 import {
   registerValidation,
   loginValidation,
+  refreshValidation,
+  twoFactorLoginValidation,
+  twoFactorCodeValidation,
+  twoFactorDisableValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  profileValidation,
 } from "../middleware/validators.js";
 
 // Public routes
 router.post("/login", loginValidation, authController.login);
+router.post(
+  "/login/2fa",
+  twoFactorLoginValidation,
+  authController.loginTwoFactor
+);
+router.post("/refresh", refreshValidation, authController.refresh);
+router.get("/password-policy", authController.getPasswordPolicyInfo);
+router.post(
+  "/forgot-password",
+  forgotPasswordValidation,
+  authController.forgotPassword
+);
+router.post(
+  "/reset-password",
+  resetPasswordValidation,
+  authController.resetPassword
+);
 
 // Protected routes (require authentication)
 router.get("/profile", authenticateToken, authController.getProfile);
+router.patch(
+  "/profile",
+  authenticateToken,
+  profileValidation,
+  authController.updateProfile
+);
 router.post("/logout", authenticateToken, authController.logout);
 router.post(
   "/change-password",
   authenticateToken,
+  changePasswordValidation,
   authController.changePassword
 );
 
-// Admin only routes
+// Own active sessions (devices)
+router.get("/sessions", authenticateToken, sessionController.getMySessions);
+router.delete(
+  "/sessions/:sessionId",
+  authenticateToken,
+  sessionController.revokeMySession
+);
+
+// Two-factor authentication (TOTP)
+router.get("/2fa", authenticateToken, twoFactorController.getStatus);
+router.post("/2fa/setup", authenticateToken, twoFactorController.setup);
+router.post(
+  "/2fa/verify",
+  authenticateToken,
+  twoFactorCodeValidation,
+  twoFactorController.verify
+);
+router.post(
+  "/2fa/backup-codes",
+  authenticateToken,
+  twoFactorCodeValidation,
+  twoFactorController.regenerateBackupCodes
+);
+router.post(
+  "/2fa/disable",
+  authenticateToken,
+  twoFactorDisableValidation,
+  twoFactorController.disable
+);
+
+// User management routes
 router.post(
   "/register",
   authenticateToken,
-  isAdmin,
+  authorize("users:manage"),
   registerValidation,
   authController.register
 );
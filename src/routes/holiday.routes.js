@@ -0,0 +1,41 @@
+import express from "express";
+import holidayController from "../controllers/holidayController.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorize.js";
+import { holidayValidation } from "../middleware/validators.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/holidays
+ * @desc    List company holidays (optional ?from=YYYY-MM-DD&to=YYYY-MM-DD)
+ * @access  Private
+ */
+router.get("/", holidayController.getHolidays);
+
+/**
+ * @route   POST /api/holidays
+ * @desc    Add a company holiday
+ * @access  Private (users:manage)
+ */
+router.post(
+  "/",
+  authorize("users:manage"),
+  holidayValidation,
+  holidayController.createHoliday
+);
+
+/**
+ * @route   DELETE /api/holidays/:id
+ * @desc    Remove a company holiday
+ * @access  Private (users:manage)
+ */
+router.delete(
+  "/:id",
+  authorize("users:manage"),
+  holidayController.deleteHoliday
+);
+
+export default router;
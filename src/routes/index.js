@@ -4,6 +4,12 @@ import authRoutes from './authRoutes.js';
 import userRoutes from './userRoutes.js';
 import orderRoutes from './order.routes.js';
 import leadRoutes from './lead.routes.js'
+import holidayRoutes from './holiday.routes.js';
+import settingsRoutes from './settings.routes.js';
+import sessionRoutes from './session.routes.js';
+import securityEventRoutes from './securityEvent.routes.js';
+import teamRoutes from './team.routes.js';
+import auditRoutes from './audit.routes.js';
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -19,5 +25,11 @@ router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/orders', orderRoutes);
 router.use('/leads', leadRoutes)
+router.use('/holidays', holidayRoutes);
+router.use('/settings', settingsRoutes);
+router.use('/sessions', sessionRoutes);
+router.use('/security-events', securityEventRoutes);
+router.use('/teams', teamRoutes);
+router.use('/audit', auditRoutes);
 
 export default router;
@@ -1,19 +1,47 @@
 import express from "express";
-import { createLead } from "../controllers/leadController.js";
-import { authenticateToken, isAdmin } from "../middleware/auth.js";
+import {
+  createLead,
+  getLeads,
+  getLeadById,
+  assignLead,
+} from "../controllers/leadController.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorize.js";
+import { assignValidation } from "../middleware/validators.js";
 
 const router = express.Router();
 
 /**
  * @route   POST /api/leads/create
- * @desc    Create a new lead (Admin Only)
- * @access  Private/Admin
+ * @desc    Create a new lead
+ * @access  Private (leads:create)
  */
 router.post(
   "/create", 
   authenticateToken, 
-  isAdmin,           
+  authorize("leads:create"),
   createLead         
 );
 
-export default router;
\ No newline at end of file
+/**
+ * @route   GET /api/leads
+ * @desc    List leads visible to the user (?assignedToId=&search=&limit=&offset=)
+ * @access  Private (all leads with leads:view_all, otherwise own and team's)
+ */
+router.get("/", authenticateToken, getLeads);
+
+/**
+ * @route   GET /api/leads/:id
+ * @desc    Get a lead
+ * @access  Private (same visibility as the list)
+ */
+router.get("/:id", authenticateToken, getLeadById);
+
+/**
+ * @route   POST /api/leads/:id/assign
+ * @desc    Reassign a lead
+ * @access  Private (leads:assign, or supervisor within their team)
+ */
+router.post("/:id/assign", authenticateToken, assignValidation, assignLead);
+
+export default router;
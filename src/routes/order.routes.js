@@ -3,6 +3,12 @@ import {
   createOrder,
   getOrders,
   getOrderById,
+  getOrderTransitions,
+  getOrderInvoice,
+  issueOrderInvoice,
+  getOrderCreditNote,
+  issueOrderCreditNote,
+  updateOrder,
   assignOrder,
   updateOrderStatus,
   markDelivered,
@@ -10,24 +16,84 @@ import {
   markRTOReceived,
   deleteOrder,
 } from "../controllers/order.controller.js";
-import { protect } from "../middleware/auth.js";
-// import { authorize } from "../middleware/authorize.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorize.js";
+import {
+  assignValidation,
+  createOrderValidation,
+  orderStatusValidation,
+  deliverValidation,
+  rtoValidation,
+  invoiceFormatValidation,
+  updateOrderValidation,
+} from "../middleware/validators.js";
 
 const router = express.Router();
 
-router.use(protect);
+router.use(authenticateToken);
 
-router.post("/", createOrder);
+// orderNumber is generated unless the caller has orders:import
+router.post(
+  "/",
+  authorize("orders:create"),
+  createOrderValidation,
+  createOrder
+);
 router.get("/", getOrders);
 router.get("/:id", getOrderById);
 
-router.patch("/:id/status", updateOrderStatus);
-router.patch("/:id/deliver", markDelivered);
+// Correct order details; field-level rules in src/config/orderFields.js
+router.patch(
+  "/:id",
+  authorize("orders:edit"),
+  updateOrderValidation,
+  updateOrder
+);
+
+// Which statuses the caller may move the order to next
+router.get("/:id/transitions", getOrderTransitions);
+
+// Each transition also needs its own permission (src/config/orderStatus.js)
+router.patch(
+  "/:id/status",
+  authorize("orders:update_status"),
+  orderStatusValidation,
+  updateOrderStatus
+);
+router.patch(
+  "/:id/deliver",
+  authorize("orders:update_status"),
+  deliverValidation,
+  markDelivered
+);
+
+// orders:assign, or a team supervisor (checked in the controller)
+router.post("/:id/assign", assignValidation, assignOrder);
+router.post("/:id/rto", authorize("orders:rto"), rtoValidation, initiateRTO);
+router.patch(
+  "/:id/rto/received",
+  authorize("orders:rto_receive"),
+  markRTOReceived
+);
 
-// router.post("/:id/assign", authorize("admin"), assignOrder);
-router.post("/:id/rto", initiateRTO);
-// router.patch("/:id/rto/received", authorize("admin"), markRTOReceived);
+// ?format=pdf (default) or json. Anyone who can see the order can read its
+// documents; issuing needs orders:invoice. Credit notes are issued by the
+// status change, and POST retries one that failed.
+router.get("/:id/invoice", invoiceFormatValidation, getOrderInvoice);
+router.post(
+  "/:id/invoice",
+  authorize("orders:invoice"),
+  invoiceFormatValidation,
+  issueOrderInvoice
+);
+router.get("/:id/credit-note", invoiceFormatValidation, getOrderCreditNote);
+router.post(
+  "/:id/credit-note",
+  authorize("orders:invoice"),
+  invoiceFormatValidation,
+  issueOrderCreditNote
+);
 
-// router.delete("/:id", authorize("admin"), deleteOrder);
+router.delete("/:id", authorize("orders:delete"), deleteOrder);
 
 export default router;
@@ -0,0 +1,36 @@
+import express from "express";
+import securityEventController from "../controllers/securityEventController.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorize.js";
+import {
+  securityEventsQueryValidation,
+  acknowledgeEventValidation,
+} from "../middleware/validators.js";
+
+const router = express.Router();
+
+router.use(authenticateToken, authorize("users:manage"));
+
+/**
+ * @route   GET /api/security-events
+ * @desc    List suspicious login events (?type=&userId=&acknowledged=&from=&to=)
+ * @access  Private (users:manage)
+ */
+router.get(
+  "/",
+  securityEventsQueryValidation,
+  securityEventController.getSecurityEvents
+);
+
+/**
+ * @route   POST /api/security-events/:id/acknowledge
+ * @desc    Mark an event as reviewed, with an optional note
+ * @access  Private (users:manage)
+ */
+router.post(
+  "/:id/acknowledge",
+  acknowledgeEventValidation,
+  securityEventController.acknowledgeSecurityEvent
+);
+
+export default router;
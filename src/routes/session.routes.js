@@ -0,0 +1,30 @@
+import express from "express";
+import sessionController from "../controllers/sessionController.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorize.js";
+import { sessionsQueryValidation } from "../middleware/validators.js";
+
+const router = express.Router();
+
+router.use(authenticateToken, authorize("users:manage"));
+
+/**
+ * @route   GET /api/sessions
+ * @desc    List active sessions across the team
+ *          (optional ?userId=&role=&page=&limit=, limit at most 100)
+ * @access  Private (users:manage)
+ */
+router.get(
+  "/",
+  sessionsQueryValidation,
+  sessionController.getActiveSessions
+);
+
+/**
+ * @route   DELETE /api/sessions/:id
+ * @desc    Force-logout a specific session
+ * @access  Private (users:manage)
+ */
+router.delete("/:id", sessionController.revokeSession);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from "express";
+import settingsController from "../controllers/settingsController.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorize.js";
+
+const router = express.Router();
+
+router.use(authenticateToken, authorize("settings:manage"));
+
+/**
+ * @route   GET /api/settings
+ * @desc    List organisation settings with current values and defaults
+ * @access  Private (settings:manage)
+ */
+router.get("/", settingsController.getSettings);
+
+/**
+ * @route   PUT /api/settings/:key
+ * @desc    Update a setting, body: { "value": ... }
+ * @access  Private (settings:manage)
+ */
+router.put("/:key", settingsController.updateSetting);
+
+export default router;
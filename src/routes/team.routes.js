@@ -0,0 +1,98 @@
+import express from "express";
+import teamController from "../controllers/teamController.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorize.js";
+import {
+  createTeamValidation,
+  updateTeamValidation,
+  teamMembersValidation,
+  teamReportValidation,
+} from "../middleware/validators.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/teams/mine
+ * @desc    Teams the current user supervises, with their members
+ * @access  Private
+ */
+router.get("/mine", teamController.getMyTeams);
+
+/**
+ * @route   GET /api/teams
+ * @desc    List all teams with supervisor and member count
+ * @access  Private (users:manage)
+ */
+router.get("/", authorize("users:manage"), teamController.getTeams);
+
+/**
+ * @route   POST /api/teams
+ * @desc    Create a team
+ * @access  Private (users:manage)
+ */
+router.post(
+  "/",
+  authorize("users:manage"),
+  createTeamValidation,
+  teamController.createTeam
+);
+
+/**
+ * @route   GET /api/teams/:id
+ * @desc    Get a team with its members
+ * @access  Private (users:manage or the team's supervisor)
+ */
+router.get("/:id", teamController.getTeam);
+
+/**
+ * @route   GET /api/teams/:id/report
+ * @desc    Per-member order and lead counts (optional ?from=&to=)
+ * @access  Private (users:manage or the team's supervisor)
+ */
+router.get("/:id/report", teamReportValidation, teamController.getTeamReport);
+
+/**
+ * @route   PUT /api/teams/:id
+ * @desc    Rename a team or change its supervisor
+ * @access  Private (users:manage)
+ */
+router.put(
+  "/:id",
+  authorize("users:manage"),
+  updateTeamValidation,
+  teamController.updateTeam
+);
+
+/**
+ * @route   DELETE /api/teams/:id
+ * @desc    Delete a team; members are left without a team
+ * @access  Private (users:manage)
+ */
+router.delete("/:id", authorize("users:manage"), teamController.deleteTeam);
+
+/**
+ * @route   POST /api/teams/:id/members
+ * @desc    Add users to a team (moves them out of their previous team)
+ * @access  Private (users:manage)
+ */
+router.post(
+  "/:id/members",
+  authorize("users:manage"),
+  teamMembersValidation,
+  teamController.addTeamMembers
+);
+
+/**
+ * @route   DELETE /api/teams/:id/members/:userId
+ * @desc    Remove a user from a team
+ * @access  Private (users:manage)
+ */
+router.delete(
+  "/:id/members/:userId",
+  authorize("users:manage"),
+  teamController.removeTeamMember
+);
+
+export default router;
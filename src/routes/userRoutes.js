@@ -1,22 +1,97 @@
 import express from 'express';
 const router = express.Router();
 import userController from "../controllers/userController.js";
-import { authenticateToken, isAdmin } from '../middleware/auth.js';
-import { updateUserValidation } from '../middleware/validators.js';
+import attendanceController from "../controllers/attendanceController.js";
+import { authenticateToken } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import {
+  updateUserValidation,
+  scheduleValidation,
+  loginOverrideValidation,
+  adminResetPasswordValidation,
+  impersonateValidation,
+  offboardValidation,
+  listUsersValidation,
+  attendanceValidation,
+} from '../middleware/validators.js';
 
-// All routes require authentication and admin role
-router.use(authenticateToken, isAdmin);
+// All routes require authentication and the users:manage permission
+router.use(authenticateToken, authorize('users:manage'));
 
 // User management routes
-router.get('/', userController.getAllUsers);
+router.get('/', listUsersValidation, userController.getAllUsers);
+
+// CSV import/export (registered before '/:id')
+router.get('/export', listUsersValidation, userController.exportUsers);
+router.post(
+  '/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  userController.importUsers
+);
+
+// Attendance report for the whole team (?from=&to=&role=&format=csv)
+router.get(
+  '/attendance',
+  attendanceValidation,
+  attendanceController.getAttendance
+);
+
 router.get('/:id', userController.getUserById);
 router.put('/:id', updateUserValidation, userController.updateUser);
 router.delete('/:id', userController.deleteUser);
 
+// Offboarding: deactivate, revoke sessions, reassign open orders and leads
+router.post('/:id/offboard', offboardValidation, userController.offboardUser);
+
 // User login history
 router.get('/:id/login-history', userController.getUserLoginHistory);
+router.get('/:id/login-stats', userController.getUserLoginStats);
+router.get(
+  '/:id/attendance',
+  attendanceValidation,
+  attendanceController.getAttendance
+);
+
+// Force logout of all the user's sessions
+router.delete('/:id/sessions', userController.revokeUserSessions);
 
 // Reset user password
-router.post('/:id/reset-password', userController.resetUserPassword);
+router.post(
+  '/:id/reset-password',
+  adminResetPasswordValidation,
+  userController.resetUserPassword
+);
+
+// "View as" another user with a short-lived, audited token
+router.post(
+  '/:id/impersonate',
+  authorize('users:impersonate'),
+  impersonateValidation,
+  userController.impersonateUser
+);
+
+// Failed login lockout
+router.get('/:id/lockout', userController.getUserLockout);
+router.delete('/:id/lockout', userController.clearUserLockout);
+
+// Two-factor authentication reset
+router.delete('/:id/2fa', userController.resetUserTwoFactor);
+
+// Login schedule and temporary overrides
+router.get('/:id/schedule', userController.getUserSchedule);
+router.put(
+  '/:id/schedule',
+  scheduleValidation,
+  userController.updateUserSchedule
+);
+router.post(
+  '/:id/login-overrides',
+  loginOverrideValidation,
+  userController.createLoginOverride
+);
+router.delete(
+  '/:id/login-overrides/:overrideId',
+  userController.deleteLoginOverride
+);
 
 export default router;